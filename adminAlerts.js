@@ -0,0 +1,91 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatMoney } from './money.js';
+
+// Payment summaries for admins go to ADMIN_ALERTS_CHANNEL_ID; they're also stored in system_info for the dashboard
+export async function postAdminAlert(discordClient, embed) {
+    const channelId = process.env.ADMIN_ALERTS_CHANNEL_ID;
+    if (!channelId || !discordClient?.isReady()) {
+        return false;
+    }
+
+    try {
+        const channel = await discordClient.channels.fetch(channelId);
+        await channel.send({ embeds: [embed] });
+        return true;
+    } catch (error) {
+        console.error('Error posting admin alert:', error.message);
+        return false;
+    }
+}
+
+const PAYOUT_STATUS_EMOJIS = {
+    completed: '✅',
+    processing: '⏳',
+    unclaimed: '📭',
+    failed: '❌',
+    returned: '↩️'
+};
+
+export function buildPayoutReconciliationEmbed({ checked, changes, errors }) {
+    const reversedCount = changes.filter(change => change.reversed).length;
+    const embed = new EmbedBuilder()
+        .setTitle('💸 Payout Status Update')
+        .setColor(reversedCount || errors.length ? 0xff9900 : 0x00ff00)
+        .setFooter({ text: `${checked} payout${checked === 1 ? '' : 's'} checked • ${reversedCount} returned to wallets` })
+        .setTimestamp();
+
+    const lines = changes.map(change => {
+        const emoji = PAYOUT_STATUS_EMOJIS[change.status] || '•';
+        const reversal = change.reversed ? ' • credited back to wallet' : '';
+        const paypalStatus = change.paypalStatus ? ` (${change.paypalStatus})` : '';
+        return `${emoji} ${change.userName || change.userId} • ${formatMoney(change.amount, change.currency)} • ${change.previousStatus} → ${change.status}${paypalStatus}${reversal}`;
+    });
+    errors.forEach(error => lines.push(`⚠️ Couldn't check transaction ${error.transactionId}: ${error.error}`));
+
+    // Embed descriptions are limited to 4096 characters
+    let description = '';
+    for (const [index, line] of lines.entries()) {
+        if (description.length + line.length + 30 > 4096) {
+            description += `…and ${lines.length - index} more`;
+            break;
+        }
+        description += `${line}\n`;
+    }
+
+    return embed.setDescription(description || 'No changes');
+}
+
+export function buildPayoutRunEmbed(report) {
+    const { counts, paidTotals } = report;
+    const totals = Object.entries(paidTotals).map(([currency, amount]) => formatMoney(amount, currency)).join(', ') || formatMoney(0);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`💸 Payout Run ${report.runId}`)
+        .setColor(counts.failed || counts.unconfirmed ? 0xff9900 : 0x00ff00)
+        .addFields(
+            { name: 'Paid', value: `${counts.paid} creator${counts.paid === 1 ? '' : 's'} • ${totals}`, inline: true },
+            { name: 'Unconfirmed', value: String(counts.unconfirmed || 0), inline: true },
+            { name: 'Skipped', value: String(counts.skipped), inline: true },
+            { name: 'Failed', value: String(counts.failed), inline: true }
+        )
+        .setFooter({ text: `${report.trigger === 'admin' ? `Started by ${report.actorName}` : 'Scheduled'} • minimum ${report.minimum} • ${counts.belowMinimum} below minimum` })
+        .setTimestamp(report.completedAt);
+
+    const listCreators = (entries) => {
+        const lines = entries.map(entry => `${entry.userName || entry.userId} • ${formatMoney(entry.amount, entry.currency)} • ${entry.reason}`);
+        const value = lines.slice(0, 10).join('\n') + (lines.length > 10 ? `\n…and ${lines.length - 10} more` : '');
+        return value.length > 1024 ? `${value.slice(0, 1021)}...` : value;
+    };
+
+    if (report.unconfirmed?.length) {
+        embed.addFields({ name: 'Unconfirmed payouts (pending until checked)', value: listCreators(report.unconfirmed) });
+    }
+    if (report.skipped.length) {
+        embed.addFields({ name: 'Skipped creators', value: listCreators(report.skipped) });
+    }
+    if (report.failed.length) {
+        embed.addFields({ name: 'Failed payouts', value: listCreators(report.failed) });
+    }
+
+    return embed;
+}
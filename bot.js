@@ -1,8 +1,18 @@
 import 'dotenv/config';
 import { db } from './firebaseAdmin.js';
-import { updateCampaignMetrics, linkTikTokAccount, getUserById, authenticateUser, verifyUserAccess, verifyAdminOrOwnerRole } from './helper.js';
-import { payCreator, recordDeposit, releaseCampaignPayments } from './payments.js';
-import { updateActiveCampaigns } from './discordCampaignManager.js';
+import { updateCampaignMetrics, closeEndedCampaigns, linkSocialAccount, getUserById, authenticateUser, verifyUserAccess, verifyAdminOrOwnerRole, sanitizeCampaignId } from './helper.js';
+import { getCampaignMetricsTimeSeries } from './metricsHistory.js';
+import { SUPPORTED_PLATFORMS } from './platforms/index.js';
+import { fromMinorUnits } from './money.js';
+import { getCampaignLeaderboard, LEADERBOARD_SORT_FIELDS, DEFAULT_LEADERBOARD_SIZE } from './leaderboard.js';
+import { payCreator, releaseCampaignPayments, reconcilePayPalPayouts, settleUnknownPayouts, handlePayPalWebhookEvent, setPayoutMethod } from './payments.js';
+import { verifyPayPalWebhook } from './paypalWebhooks.js';
+import { postAdminAlert, buildPayoutReconciliationEmbed, buildPayoutRunEmbed } from './adminAlerts.js';
+import { runPayouts, getPayoutRunReport } from './payoutRuns.js';
+import { createCampaignFundingOrder, captureCampaignFundingOrder } from './campaignFunding.js';
+import { reconcileWalletBalances } from './ledger.js';
+import { idempotent, cleanupExpiredIdempotencyKeys } from './idempotency.js';
+import { updateActiveCampaigns, postCampaignLeaderboards, announceCampaignMilestones } from './discordCampaignManager.js';
 import { 
     client, 
     loginClient, 
@@ -15,13 +25,25 @@ import {
     handleCommandsCommand,
     handleLinkCommand,
     handleCampaignAutocomplete,
+    handleReviewCommand,
+    handleReviewButton,
+    handleReviewModal,
+    handleMySubmissionsCommand,
+    handleMySubmissionsButton,
+    handleWalletCommand,
+    handlePayoutCommand,
+    handlePayoutButton,
+    handlePayoutMethodCommand,
+    handleLeaderboardCommand,
+    handleSetupCommand,
     isRateLimited
 } from './commands.js';
 import { TOKEN_EXPIRY, RATE_LIMIT_WINDOW, MAX_REQUESTS, RATE_LIMIT } from './constants.js';
 import express from 'express';
 import cors from 'cors';
 import cron from 'node-cron';
-import { REST, Routes } from 'discord.js';
+import { MessageFlags } from 'discord.js';
+import { registerAllCommands, registerGuildCommands } from './commandRegistration.js';
 
 const app = express();
 const port = process.env.PORT || 8080;
@@ -33,8 +55,12 @@ app.use(cors({
     credentials: true // Allow credentials (cookies, authorization headers, etc)
 }));
 
-// Parse JSON bodies
-app.use(express.json());
+// Parse JSON bodies, keeping the raw bytes for webhook signature checks
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -48,9 +74,9 @@ app.get('/', (req, res) => {
     });
 });
 
-app.get('/link-tiktok-account/:tiktokUsername', authenticateUser, async (req, res) => {
+// Dashboard account linking; /link-tiktok-account predates Instagram and YouTube support
+async function handleLinkAccountRequest(req, res, platformId, username) {
     try {
-        const { tiktokUsername } = req.params;
         const { firebaseUserId, token } = req.query;
 
         if (!firebaseUserId || !token) {
@@ -60,6 +86,13 @@ app.get('/link-tiktok-account/:tiktokUsername', authenticateUser, async (req, re
             });
         }
 
+        if (!SUPPORTED_PLATFORMS.includes(platformId)) {
+            return res.status(400).json({
+                success: false,
+                message: `Platform must be one of: ${SUPPORTED_PLATFORMS.join(', ')}`
+            });
+        }
+
         // Verify the user is accessing their own data
         if (firebaseUserId !== req.user.uid) {
             return res.status(403).json({ 
@@ -68,20 +101,26 @@ app.get('/link-tiktok-account/:tiktokUsername', authenticateUser, async (req, re
             });
         }
 
-        const result = await linkTikTokAccount(tiktokUsername, token);
+        const result = await linkSocialAccount(platformId, username, token);
         
         // Return the same response structure as the function
         return res.status(result.success ? 200 : 400).json(result);
 
     } catch (error) {
-        console.error('Error linking TikTok account:', error);
+        console.error(`Error linking ${platformId} account:`, error);
         return res.status(500).json({
             success: false,
             message: 'Internal server error',
             error: error.message
         });
     }
-});
+}
+
+app.get('/link-tiktok-account/:tiktokUsername', authenticateUser, (req, res) =>
+    handleLinkAccountRequest(req, res, 'tiktok', req.params.tiktokUsername));
+
+app.get('/link-social-account/:platform/:username', authenticateUser, (req, res) =>
+    handleLinkAccountRequest(req, res, req.params.platform, req.params.username));
 
 // Token verification endpoint
 app.post('/verify-token', authenticateUser, async (req, res) => {
@@ -164,6 +203,76 @@ app.post('/api/update-metrics', async (req, res) => {
     }
 });
 
+// Campaign metrics time series for dashboard charts
+app.get('/api/campaigns/:campaignId/metrics-history', authenticateUser, async (req, res) => {
+    let campaignId;
+    try {
+        campaignId = sanitizeCampaignId(req.params.campaignId);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const since = req.query.since ? Number(req.query.since) : null;
+        const until = req.query.until ? Number(req.query.until) : null;
+
+        if ((since !== null && isNaN(since)) || (until !== null && isNaN(until))) {
+            return res.status(400).json({ error: 'since and until must be timestamps in milliseconds' });
+        }
+
+        const campaignDoc = await db.collection('campaigns').doc(campaignId).get();
+        if (!campaignDoc.exists) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        const series = await getCampaignMetricsTimeSeries(campaignId, {
+            since,
+            until,
+            videoKey: req.query.videoKey || null
+        });
+
+        res.status(200).json({
+            campaignId,
+            viewsPerHour: campaignDoc.data().viewsPerHour ?? null,
+            ...series
+        });
+    } catch (error) {
+        console.error('Error fetching campaign metrics history:', error);
+        res.status(500).json({ error: 'Failed to fetch campaign metrics history', details: error.message });
+    }
+});
+
+app.get('/api/campaigns/:campaignId/leaderboard', authenticateUser, async (req, res) => {
+    let campaignId;
+    try {
+        campaignId = sanitizeCampaignId(req.params.campaignId);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const sortBy = req.query.sortBy || 'views';
+        const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_LEADERBOARD_SIZE;
+
+        if (!LEADERBOARD_SORT_FIELDS.includes(sortBy)) {
+            return res.status(400).json({ error: `sortBy must be one of: ${LEADERBOARD_SORT_FIELDS.join(', ')}` });
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({ error: 'limit must be a whole number between 1 and 100' });
+        }
+
+        const leaderboard = await getCampaignLeaderboard(campaignId, { sortBy, limit });
+        if (!leaderboard) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        res.status(200).json(leaderboard);
+    } catch (error) {
+        console.error('Error fetching campaign leaderboard:', error);
+        res.status(500).json({ error: 'Failed to fetch campaign leaderboard', details: error.message });
+    }
+});
+
 // Generate social media account link token
 app.post('/api/generate-social-media-account-link-token', async (req, res) => {
     try {
@@ -224,7 +333,7 @@ app.post('/api/generate-social-media-account-link-token', async (req, res) => {
 });
 
 // Pay Creators 
-app.post('/pay-creator', authenticateUser, verifyUserAccess, async (req, res) => {
+app.post('/pay-creator', authenticateUser, verifyUserAccess, idempotent('payCreator'), async (req, res) => {
     try {
         const { userId } = req.body;
         
@@ -238,6 +347,17 @@ app.post('/pay-creator', authenticateUser, verifyUserAccess, async (req, res) =>
             actorName: 'Sketch Music'
         });
 
+        // The wallet stays debited while the payout's outcome is checked, so don't invite a retry
+        if (result.sendState === 'unknown') {
+            return res.status(202).json({
+                success: false,
+                error: result.error,
+                transactionId: result.transactionId,
+                status: result.status,
+                sendState: result.sendState
+            });
+        }
+
         if (!result.success) {
             return res.status(400).json({
                 success: false,
@@ -249,8 +369,13 @@ app.post('/pay-creator', authenticateUser, verifyUserAccess, async (req, res) =>
             success: true, 
             message: 'Payment processed successfully',
             transactionId: result.transactionId,
+            paymentMethod: result.paymentMethod,
+            paymentReference: result.paymentReference,
             payoutBatchId: result.payoutBatchId,
-            amount: result.amount,
+            amount: fromMinorUnits(result.amount, result.currency),
+            amountMinor: result.amount,
+            currency: result.currency,
+            recipient: result.recipient,
             paymentEmail: result.paymentEmail
         });
     } catch (error) {
@@ -263,7 +388,35 @@ app.post('/pay-creator', authenticateUser, verifyUserAccess, async (req, res) =>
     }
 });
 
-app.post('/release-campaign-payments', authenticateUser, verifyAdminOrOwnerRole, async (req, res) => {
+// Choose how the user's payouts are sent (paypal or stripe)
+app.post('/payout-method', authenticateUser, verifyUserAccess, async (req, res) => {
+    try {
+        const { userId, payoutMethod, stripeAccountId } = req.body;
+
+        if (!payoutMethod) {
+            return res.status(400).json({ error: 'payoutMethod is required' });
+        }
+
+        const result = await setPayoutMethod(userId, payoutMethod, { stripeAccountId: stripeAccountId || null });
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.status(200).json({ success: true, payoutMethod: result.payoutMethod });
+    } catch (error) {
+        console.error('Error setting payout method:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to set payout method',
+            message: error.message 
+        });
+    }
+});
+
+app.post('/release-campaign-payments', authenticateUser, verifyAdminOrOwnerRole, idempotent('releaseCampaignPayments'), async (req, res) => {
     try {
         const { campaignId, actorId } = req.body;
    
@@ -281,6 +434,12 @@ app.post('/release-campaign-payments', authenticateUser, verifyAdminOrOwnerRole,
                 error: result.error
             });
         }
+
+        // Announce the release now rather than on the next cron run
+        if (client.isReady()) {
+            announceCampaignMilestones(client, { campaignIds: [campaignId] })
+                .catch(error => console.error('Error announcing payment release:', error));
+        }
         
         res.status(200).json(result);
     } catch (error) {
@@ -291,56 +450,143 @@ app.post('/release-campaign-payments', authenticateUser, verifyAdminOrOwnerRole,
     }
 });
 
-// Record Deposit
-app.post('/record-deposit', authenticateUser, verifyAdminOrOwnerRole, async (req, res) => {
+// Campaign funding through PayPal checkout: create an order for the payer to approve, then capture it
+app.post('/campaign-funding/orders', authenticateUser, verifyAdminOrOwnerRole, async (req, res) => {
     try {
-        const { actorId, campaignId, amount, paymentMethod = "paypal", paymentReference = null } = req.body;
-        
-        if (!actorId) {
-            return res.status(400).json({ error: 'actorId is required' });
-        }
-        
+        const { campaignId, amount } = req.body;
+
         if (!campaignId) {
             return res.status(400).json({ error: 'campaignId is required' });
         }
 
-        if (!amount || amount <= 0) {
+        if (!amount || Number(amount) <= 0) {
             return res.status(400).json({ error: 'amount must be a positive number' });
         }
 
-        // Fetch actor user data
-        const actorUser = await getUserById(actorId);
-        if (!actorUser) {
-            return res.status(404).json({ error: 'Actor user not found' });
+        const actorUser = await getUserById(req.user.uid);
+        const actorName = `${actorUser?.firstName || ''} ${actorUser?.lastName || ''}`.trim() || req.user.email || 'Unknown User';
+
+        const result = await createCampaignFundingOrder(campaignId, amount, { actorId: req.user.uid, actorName });
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
         }
 
-        const actorName = `${actorUser.firstName || ''} ${actorUser.lastName || ''}`.trim() || 'Unknown User';
-        
-        const result = await recordDeposit(actorId, actorName, campaignId, amount, paymentMethod, paymentReference);
-        
+        res.status(200).json({
+            success: true,
+            orderId: result.orderId,
+            approveUrl: result.approveUrl,
+            amount: fromMinorUnits(result.amount, result.currency),
+            amountMinor: result.amount,
+            currency: result.currency
+        });
+    } catch (error) {
+        console.error('Error creating funding order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create funding order',
+            details: error.message
+        });
+    }
+});
+
+app.post('/campaign-funding/orders/:orderId/capture', authenticateUser, verifyAdminOrOwnerRole, idempotent('captureFundingOrder'), async (req, res) => {
+    try {
+        const result = await captureCampaignFundingOrder(req.params.orderId, { actorId: req.user.uid });
         if (!result.success) {
-            return res.status(500).json({ 
+            return res.status(400).json({
                 success: false,
-                message: 'Failed to record deposit',
-                details: result.error || 'Unknown error'
+                error: result.error
             });
         }
-        
-        res.status(200).json({ 
-            success: true, 
-            message: 'Deposit recorded successfully',
-            transactionId: result.transactionId
+
+        res.status(200).json({
+            success: true,
+            message: result.alreadyCaptured ? 'Funding was already captured' : 'Campaign funded successfully',
+            transactionId: result.transactionId,
+            campaignId: result.campaignId,
+            ...(result.amount !== undefined ? {
+                amount: fromMinorUnits(result.amount, result.currency),
+                amountMinor: result.amount,
+                currency: result.currency
+            } : {})
         });
     } catch (error) {
-        console.error('Error recording deposit:', error);
-        res.status(500).json({ 
+        console.error('Error capturing funding order:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to record deposit',
-            details: error.message 
+            error: 'Failed to capture funding order',
+            details: error.message
+        });
+    }
+});
+
+// Pay every creator at or above the minimum balance now instead of waiting for the scheduled run
+app.post('/payout-runs', authenticateUser, verifyAdminOrOwnerRole, idempotent('payoutRun'), async (req, res) => {
+    try {
+        const { minimum } = req.body;
+        if (minimum !== undefined && !(Number(minimum) > 0)) {
+            return res.status(400).json({ error: 'minimum must be a positive amount' });
+        }
+
+        const report = await runPayouts({
+            ...(minimum !== undefined ? { minimum: Number(minimum) } : {}),
+            trigger: 'admin',
+            actorId: req.user.uid,
+            actorName: req.user.email || req.user.uid
+        });
+
+        await postAdminAlert(client, buildPayoutRunEmbed(report));
+
+        res.status(200).json({ success: true, report });
+    } catch (error) {
+        console.error('Error running payouts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run payouts',
+            message: error.message
         });
     }
 });
 
+app.get('/payout-runs/:runId', authenticateUser, verifyAdminOrOwnerRole, async (req, res) => {
+    try {
+        const report = await getPayoutRunReport(req.params.runId);
+        if (!report) {
+            return res.status(404).json({ error: 'Payout run not found' });
+        }
+        res.status(200).json(report);
+    } catch (error) {
+        console.error('Error fetching payout run:', error);
+        res.status(500).json({ error: 'Failed to fetch payout run', details: error.message });
+    }
+});
+
+// PayPal payouts webhooks (PAYMENT.PAYOUTSBATCH.* and PAYMENT.PAYOUTS-ITEM.*)
+app.post('/webhooks/paypal', async (req, res) => {
+    try {
+        const isVerified = await verifyPayPalWebhook(req.headers, req.rawBody);
+        if (!isVerified) {
+            return res.status(400).json({ error: 'Invalid webhook signature' });
+        }
+
+        const { duplicate, changes } = await handlePayPalWebhookEvent(req.body);
+
+        if (changes.some(change => change.reversed)) {
+            postAdminAlert(client, buildPayoutReconciliationEmbed({ checked: changes.length, changes, errors: [] }))
+                .catch(error => console.error('Error posting payout alert:', error));
+        }
+
+        res.status(200).json({ received: true, duplicate });
+    } catch (error) {
+        // A non-2xx response makes PayPal retry the delivery
+        console.error('Error handling PayPal webhook:', error);
+        res.status(500).json({ error: 'Failed to process webhook' });
+    }
+});
+
 // Schedule metrics update every 15 mins on production and hour on dev
 const cronSchedule = process.env.ENVIRONMENT === 'development' ? '0 * * * *' : '*/15 * * * *';
 cron.schedule(cronSchedule, async () => {
@@ -355,6 +601,7 @@ cron.schedule(cronSchedule, async () => {
         // Only update Discord channels if the client is ready
         if (client.isReady()) {
             await updateActiveCampaigns(client);
+            await announceCampaignMilestones(client);
             console.log('Discord channel updates completed.');
         } else {
             console.log('Discord client not ready, skipping channel updates');
@@ -386,6 +633,178 @@ cron.schedule(cronSchedule, async () => {
     }
 });
 
+// Close campaigns that have reached their end date
+cron.schedule('*/5 * * * *', async () => {
+    const startTime = Date.now();
+    try {
+        const { closed } = await closeEndedCampaigns();
+        if (closed.length) {
+            console.log(`Closed ${closed.length} ended campaign(s): ${closed.join(', ')}`);
+        }
+
+        await db.collection('system_info').doc('crons').set({
+            closeEndedCampaigns: {
+                lastUpdated: new Date(),
+                status: 'success',
+                closed: closed.length,
+                duration: Date.now() - startTime
+            }
+        }, { merge: true });
+    } catch (error) {
+        console.error('Closing ended campaigns failed:', error);
+
+        await db.collection('system_info').doc('crons').set({
+            closeEndedCampaigns: {
+                lastUpdated: new Date(),
+                status: 'failed',
+                error: error.message,
+                duration: Date.now() - startTime
+            }
+        }, { merge: true });
+    }
+});
+
+// Refresh campaign leaderboards in each server's campaigns channel, daily by default
+const leaderboardCronSchedule = process.env.LEADERBOARD_CRON_SCHEDULE || '0 17 * * *';
+cron.schedule(leaderboardCronSchedule, async () => {
+    if (!client.isReady()) {
+        console.log('Discord client not ready, skipping leaderboard posts');
+        return;
+    }
+
+    const startTime = Date.now();
+    try {
+        const { results } = await postCampaignLeaderboards(client);
+        console.log(`Leaderboards posted to ${results.filter(result => result.status === 'success').length} server(s)`);
+
+        await db.collection('system_info').doc('crons').set({
+            postLeaderboards: {
+                lastUpdated: new Date(),
+                status: 'success',
+                duration: Date.now() - startTime
+            }
+        }, { merge: true });
+    } catch (error) {
+        console.error('Scheduled leaderboard post failed:', error);
+
+        await db.collection('system_info').doc('crons').set({
+            postLeaderboards: {
+                lastUpdated: new Date(),
+                status: 'failed',
+                error: error.message,
+                duration: Date.now() - startTime
+            }
+        }, { merge: true });
+    }
+});
+
+// Check every cached wallet balance against the ledger, hourly
+cron.schedule('0 * * * *', async () => {
+    const startTime = Date.now();
+    try {
+        const { checked, mismatches } = await reconcileWalletBalances();
+
+        await db.collection('system_info').doc('crons').set({
+            reconcileWallets: {
+                lastUpdated: new Date(),
+                status: mismatches.length ? 'mismatch' : 'success',
+                checked,
+                mismatches: mismatches.map(mismatch => mismatch.userId),
+                duration: Date.now() - startTime
+            }
+        }, { merge: true });
+    } catch (error) {
+        console.error('Wallet reconciliation failed:', error);
+
+        await db.collection('system_info').doc('crons').set({
+            reconcileWallets: {
+                lastUpdated: new Date(),
+                status: 'failed',
+                error: error.message,
+                duration: Date.now() - startTime
+            }
+        }, { merge: true });
+    }
+});
+
+// Settle payouts whose send had no clear answer, then follow PayPal payouts until they settle;
+// failed and returned payouts go back to the creator's wallet
+cron.schedule('30 * * * *', async () => {
+    const startTime = Date.now();
+    try {
+        const unknownSends = await settleUnknownPayouts();
+        const reconciliation = await reconcilePayPalPayouts();
+        const summary = {
+            checked: unknownSends.checked + reconciliation.checked,
+            changes: [...unknownSends.changes, ...reconciliation.changes],
+            errors: [...unknownSends.errors, ...reconciliation.errors]
+        };
+
+        if (summary.changes.length || summary.errors.length) {
+            await db.collection('system_info').doc('payoutReconciliation').set({
+                lastChangedAt: new Date(),
+                changes: summary.changes,
+                errors: summary.errors
+            });
+            await postAdminAlert(client, buildPayoutReconciliationEmbed(summary));
+        }
+
+        await db.collection('system_info').doc('crons').set({
+            reconcilePayouts: {
+                lastUpdated: new Date(),
+                status: 'success',
+                checked: summary.checked,
+                changed: summary.changes.length,
+                reversed: summary.changes.filter(change => change.reversed).length,
+                errors: summary.errors.length,
+                duration: Date.now() - startTime
+            }
+        }, { merge: true });
+    } catch (error) {
+        console.error('Payout reconciliation failed:', error);
+
+        await db.collection('system_info').doc('crons').set({
+            reconcilePayouts: {
+                lastUpdated: new Date(),
+                status: 'failed',
+                error: error.message,
+                duration: Date.now() - startTime
+            }
+        }, { merge: true });
+    }
+});
+
+// Pay out every creator above the minimum balance, weekly by default
+const payoutRunCronSchedule = process.env.PAYOUT_RUN_CRON_SCHEDULE || '0 16 * * 1';
+cron.schedule(payoutRunCronSchedule, async () => {
+    const startTime = Date.now();
+    try {
+        const report = await runPayouts();
+        await postAdminAlert(client, buildPayoutRunEmbed(report));
+
+        await db.collection('system_info').doc('crons').set({
+            payoutRun: {
+                lastUpdated: new Date(),
+                status: 'success',
+                runId: report.runId,
+                ...report.counts,
+                duration: Date.now() - startTime
+            }
+        }, { merge: true });
+    } catch (error) {
+        console.error('Scheduled payout run failed:', error);
+
+        await db.collection('system_info').doc('crons').set({
+            payoutRun: {
+                lastUpdated: new Date(),
+                status: 'failed',
+                error: error.message,
+                duration: Date.now() - startTime
+            }
+        }, { merge: true });
+    }
+});
+
 // Clean up expired social media account link tokens
 const cleanupExpiredTokens = async () => {
     try {
@@ -406,50 +825,66 @@ const cleanupExpiredTokens = async () => {
 // Schedule token cleanup every 30 minutes
 cron.schedule('*/30 * * * *', cleanupExpiredTokens);
 
+// Stored idempotent responses are only kept for a day
+cron.schedule('15 * * * *', cleanupExpiredIdempotencyKeys);
+
 // Register slash commands when the bot starts
 client.once('ready', async () => {
     console.log(`Bot is online as ${client.user.tag}`);
 
     try {
-        if (!process.env.DISCORD_CLIENT_ID) {
-            throw new Error('DISCORD_CLIENT_ID is not set in environment variables');
-        }
-
-        const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_BOT_TOKEN);
-        
-        // Get the first guild the bot is in
-        const guilds = await client.guilds.fetch();
-        const firstGuild = guilds.first();
-        if (!firstGuild) {
-            throw new Error('Bot is not in any guilds');
-        }
-
-        console.log(`Registering commands for guild: ${firstGuild.name}`);
-
-        // Register commands to the specific guild
-        await rest.put(
-            Routes.applicationGuildCommands(process.env.DISCORD_CLIENT_ID, firstGuild.id),
-            { body: commandsList }
-        );
-        
+        await registerAllCommands(client, commandsList);
         console.log('Successfully registered slash commands');
     } catch (error) {
         console.error('Error registering slash commands:', error);
     }
 });
 
+// Register commands as soon as the bot is added to a new server
+client.on('guildCreate', async guild => {
+    console.log(`Joined guild: ${guild.name} (${guild.id})`);
+
+    try {
+        await registerGuildCommands(guild, commandsList);
+    } catch (error) {
+        console.error(`Error registering slash commands for guild ${guild.name}:`, error);
+    }
+});
+
 // Handle interactions
 client.on('interactionCreate', async interaction => {
     try {
         // Handle autocomplete
         if (interaction.isAutocomplete()) {
             const focusedOption = interaction.options.getFocused(true);
-            if (interaction.commandName === 'submit' && focusedOption.name === 'campaign_id') {
+            if (['submit', 'review', 'mysubmissions', 'leaderboard'].includes(interaction.commandName) && focusedOption.name === 'campaign_id') {
                 await handleCampaignAutocomplete(interaction);
             }
             return;
         }
 
+        // Review queue buttons and the rejection reason modal
+        if (interaction.isButton() && interaction.customId.startsWith('review:')) {
+            await handleReviewButton(interaction);
+            return;
+        }
+        if (interaction.isModalSubmit() && interaction.customId.startsWith('review:')) {
+            await handleReviewModal(interaction);
+            return;
+        }
+
+        // /mysubmissions paging
+        if (interaction.isButton() && interaction.customId.startsWith('mysubmissions:')) {
+            await handleMySubmissionsButton(interaction);
+            return;
+        }
+
+        // /payout confirmation
+        if (interaction.isButton() && interaction.customId.startsWith('payout:')) {
+            await handlePayoutButton(interaction);
+            return;
+        }
+
         if (!interaction.isCommand()) return;
 
         const discordId = interaction.user.id;
@@ -484,6 +919,27 @@ client.on('interactionCreate', async interaction => {
             case 'link':
                 await handleLinkCommand(interaction);
                 break;
+            case 'review':
+                await handleReviewCommand(interaction);
+                break;
+            case 'mysubmissions':
+                await handleMySubmissionsCommand(interaction);
+                break;
+            case 'wallet':
+                await handleWalletCommand(interaction);
+                break;
+            case 'payout':
+                await handlePayoutCommand(interaction);
+                break;
+            case 'payoutmethod':
+                await handlePayoutMethodCommand(interaction);
+                break;
+            case 'leaderboard':
+                await handleLeaderboardCommand(interaction);
+                break;
+            case 'setup':
+                await handleSetupCommand(interaction);
+                break;
             default:
                 await interaction.reply({ 
                     content: 'Unknown command', 
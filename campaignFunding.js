@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import { db, FieldValue } from './firebaseAdmin.js';
+import { sanitizeCampaignId } from './helper.js';
+import { PAYPAL_API_BASE } from './paypalClient.js';
+import { createPayPalOrder, capturePayPalOrder, getApproveUrl, getOrderCapture, getPayPalOrdersClient } from './paypalOrders.js';
+import { toMinorUnits, readMinorUnits, getCampaignCurrency, formatMoney, MINOR_UNIT } from './money.js';
+
+/**
+ * Campaigns are funded through PayPal checkout:
+ *   1. createCampaignFundingOrder - creates a PayPal order and a `campaignFundingOrders/{orderId}` doc
+ *   2. the payer approves the order on PayPal (approveUrl)
+ *   3. captureCampaignFundingOrder - captures it, then records the `campaignDeposit` transaction and adds the
+ *      captured amount to the campaign's `fundedAmount` (minor units, with fundedCurrency and fundedAmountUnit)
+ *   Creators' earnings are capped at the smaller of the budget and fundedAmount (getSpendableBudget in earnings.js).
+ * Nothing is recorded until PayPal confirms the capture, and the capture is checked against the order we created.
+ */
+
+/**
+ * @param {string} campaignId
+ * @param {number|string} amount - Major units in the campaign's currency, as entered on the dashboard
+ * @param {{ actorId: string, actorName: string }} actor
+ */
+export async function createCampaignFundingOrder(campaignId, amount, { actorId, actorName }) {
+    try {
+        const sanitizedCampaignId = sanitizeCampaignId(campaignId);
+        if (!actorId || !actorName) {
+            throw new Error('Actor ID and name are required');
+        }
+
+        const campaignDoc = await db.collection('campaigns').doc(sanitizedCampaignId).get();
+        if (!campaignDoc.exists) {
+            throw new Error('Campaign not found');
+        }
+
+        const campaign = campaignDoc.data();
+        const currency = getCampaignCurrency(campaign);
+        const amountMinor = toMinorUnits(amount, currency);
+        if (amountMinor <= 0) {
+            throw new Error('Funding amount must be positive');
+        }
+
+        // Earnings are capped at the smaller of the budget and the funded amount, so funding past the budget can't be spent
+        if (Number(campaign.budget) > 0) {
+            const funded = campaign.fundedCurrency === currency
+                ? readMinorUnits(campaign.fundedAmount, campaign.fundedAmountUnit, currency)
+                : 0;
+            const unfunded = toMinorUnits(campaign.budget, currency) - funded;
+            if (amountMinor > unfunded) {
+                throw new Error(`Funding would exceed the campaign's budget: ${formatMoney(Math.max(unfunded, 0), currency)} left to fund`);
+            }
+        }
+
+        const fundingId = crypto.randomUUID();
+        const order = await createPayPalOrder({
+            referenceId: sanitizedCampaignId,
+            customId: fundingId,
+            description: `Funding for ${campaign.name || sanitizedCampaignId}`.slice(0, 127),
+            amount: amountMinor,
+            currency
+        });
+
+        await db.collection('campaignFundingOrders').doc(order.id).set({
+            fundingId,
+            campaignId: sanitizedCampaignId,
+            amount: amountMinor,
+            amountUnit: MINOR_UNIT,
+            currency,
+            status: 'created',
+            ordersClient: getPayPalOrdersClient().name,
+            actorId,
+            actorName,
+            createdAt: FieldValue.serverTimestamp()
+        });
+
+        return {
+            success: true,
+            orderId: order.id,
+            approveUrl: getApproveUrl(order),
+            amount: amountMinor,
+            currency,
+            error: null
+        };
+    } catch (error) {
+        console.error('Error creating campaign funding order:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Capture an approved funding order and credit the campaign. Safe to retry: an order that was already
+ * captured returns its existing deposit transaction.
+ */
+export async function captureCampaignFundingOrder(orderId, { actorId }) {
+    try {
+        // PayPal order IDs (and the local stand-in's) are letters, digits and dashes
+        if (typeof orderId !== 'string' || !/^[a-zA-Z0-9-]{1,64}$/.test(orderId)) {
+            throw new Error('Invalid order ID');
+        }
+
+        const orderRef = db.collection('campaignFundingOrders').doc(orderId);
+        const orderDoc = await orderRef.get();
+        if (!orderDoc.exists) {
+            throw new Error('Funding order not found');
+        }
+
+        const fundingOrder = orderDoc.data();
+        if (fundingOrder.status === 'captured') {
+            return { success: true, transactionId: fundingOrder.transactionId, alreadyCaptured: true, error: null };
+        }
+
+        let capture;
+        try {
+            capture = getOrderCapture(await capturePayPalOrder(orderId, fundingOrder.ordersClient));
+        } catch (error) {
+            await orderRef.update({ lastError: error.message, lastErrorAt: FieldValue.serverTimestamp() });
+            throw error;
+        }
+
+        if (!capture || capture.status !== 'COMPLETED') {
+            await orderRef.update({ status: 'captureFailed', captureStatus: capture?.status || null });
+            throw new Error(`PayPal capture was not completed (${capture?.status || 'no capture'})`);
+        }
+        if (capture.amount !== fundingOrder.amount || capture.currency !== fundingOrder.currency) {
+            await orderRef.update({ status: 'amountMismatch', captureId: capture.captureId });
+            throw new Error(`Captured ${formatMoney(capture.amount, capture.currency)} but the order was for ${formatMoney(fundingOrder.amount, fundingOrder.currency)}`);
+        }
+
+        // Record the deposit and credit the campaign together; the transaction ID comes from the capture
+        // so a retry can't count the same money twice
+        const transactionRef = db.collection('transactions').doc(`deposit_${capture.captureId}`);
+        const campaignRef = db.collection('campaigns').doc(fundingOrder.campaignId);
+
+        const alreadyRecorded = await db.runTransaction(async (transaction) => {
+            const [currentOrder, campaignDoc, existingDeposit] = await Promise.all([
+                transaction.get(orderRef),
+                transaction.get(campaignRef),
+                transaction.get(transactionRef)
+            ]);
+
+            if (currentOrder.data().status === 'captured' || existingDeposit.exists) {
+                return true;
+            }
+            if (!campaignDoc.exists) {
+                throw new Error('Campaign not found');
+            }
+
+            const campaign = campaignDoc.data();
+            const fundedCurrency = campaign.fundedCurrency || capture.currency;
+            if (fundedCurrency !== capture.currency) {
+                throw new Error(`Campaign is funded in ${fundedCurrency} but the capture is in ${capture.currency}`);
+            }
+
+            transaction.create(transactionRef, {
+                targetUserId: fundingOrder.actorId,
+                campaignId: fundingOrder.campaignId,
+                amount: capture.amount,
+                amountUnit: MINOR_UNIT,
+                type: "campaignDeposit",
+                source: "paypalCheckout",
+                actorId: fundingOrder.actorId,
+                actorName: fundingOrder.actorName,
+                status: "completed",
+                currency: capture.currency,
+                paymentMethod: "paypal",
+                paymentReference: capture.captureId,
+                createdAt: FieldValue.serverTimestamp(),
+                isTestPayment: fundingOrder.ordersClient === 'local' || PAYPAL_API_BASE.includes('sandbox'),
+                metadata: {
+                    depositSource: "checkout",
+                    orderId,
+                    captureId: capture.captureId,
+                    platformFee: capture.fee,
+                    netAmount: capture.netAmount,
+                    paymentStatus: "completed",
+                    capturedBy: actorId || null
+                }
+            });
+
+            transaction.update(campaignRef, {
+                fundedAmount: FieldValue.increment(capture.amount),
+                fundedCurrency: capture.currency,
+                fundedAmountUnit: MINOR_UNIT,
+                lastFundedAt: Date.now()
+            });
+
+            transaction.update(orderRef, {
+                status: 'captured',
+                captureId: capture.captureId,
+                transactionId: transactionRef.id,
+                capturedAt: FieldValue.serverTimestamp()
+            });
+
+            return false;
+        }).catch(async (error) => {
+            // PayPal already has the money, so keep the capture on the order for whoever sorts this out
+            await orderRef.update({
+                captureId: capture.captureId,
+                captureStatus: capture.status,
+                lastError: error.message,
+                lastErrorAt: FieldValue.serverTimestamp()
+            });
+            throw error;
+        });
+
+        return {
+            success: true,
+            transactionId: transactionRef.id,
+            campaignId: fundingOrder.campaignId,
+            amount: capture.amount,
+            currency: capture.currency,
+            alreadyCaptured: alreadyRecorded,
+            error: null
+        };
+    } catch (error) {
+        console.error('Error capturing campaign funding order:', error);
+        return { success: false, error: error.message };
+    }
+}
@@ -0,0 +1,39 @@
+// Campaigns may set `startsAt` and `endsAt` (milliseconds since epoch, like the other timestamps we store).
+// Campaigns without them start immediately and run until budget or submission limits close them.
+
+// Accepts numbers, Firestore Timestamps, Dates and ISO strings; returns null if missing or unparseable
+export function toMillis(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value.toMillis === 'function') {
+        return value.toMillis();
+    }
+    const millis = new Date(value).getTime();
+    return isNaN(millis) ? null : millis;
+}
+
+export function hasCampaignStarted(campaign, now = Date.now()) {
+    const startsAt = toMillis(campaign?.startsAt);
+    return startsAt === null || now >= startsAt;
+}
+
+export function hasCampaignEnded(campaign, now = Date.now()) {
+    const endsAt = toMillis(campaign?.endsAt);
+    return endsAt !== null && now >= endsAt;
+}
+
+// Shown in /campaigns, autocomplete and the campaigns channel
+export function isCampaignOpen(campaign, now = Date.now()) {
+    return !campaign?.isComplete && hasCampaignStarted(campaign, now) && !hasCampaignEnded(campaign, now);
+}
+
+// Videos published before the campaign started don't count; videos without a date get the benefit of the doubt
+export function wasVideoPostedBeforeStart(videoCreatedAt, campaign) {
+    const startsAt = toMillis(campaign?.startsAt);
+    const postedAt = toMillis(videoCreatedAt);
+    return startsAt !== null && postedAt !== null && postedAt < startsAt;
+}
@@ -0,0 +1,137 @@
+import { REST, Routes } from 'discord.js';
+
+// Set DISCORD_GLOBAL_COMMANDS=true to register once for every server instead of per guild.
+// Global commands can take up to an hour to show up; guild commands appear immediately.
+const useGlobalCommands = () => process.env.DISCORD_GLOBAL_COMMANDS === 'true';
+
+function getRest() {
+    if (!process.env.DISCORD_CLIENT_ID) {
+        throw new Error('DISCORD_CLIENT_ID is not set in environment variables');
+    }
+    return new REST({ version: '10' }).setToken(process.env.DISCORD_BOT_TOKEN);
+}
+
+// Discord omits defaults (required: false, empty choices, ...) that the builders send,
+// so both sides are reduced to the fields we set before comparing
+function normalizeOptions(options = []) {
+    return options.map(option => ({
+        type: option.type,
+        name: option.name,
+        description: option.description,
+        required: !!option.required,
+        autocomplete: !!option.autocomplete,
+        choices: (option.choices || []).map(({ name, value }) => ({ name, value })),
+        options: normalizeOptions(option.options),
+        channel_types: [...(option.channel_types || [])].sort(),
+        min_value: option.min_value ?? null,
+        max_value: option.max_value ?? null,
+        min_length: option.min_length ?? null,
+        max_length: option.max_length ?? null
+    }));
+}
+
+function normalizeCommand(command) {
+    return JSON.stringify({
+        type: command.type ?? 1,
+        name: command.name,
+        description: command.description,
+        options: normalizeOptions(command.options),
+        default_member_permissions: command.default_member_permissions ?? null,
+        dm_permission: command.dm_permission ?? true,
+        nsfw: !!command.nsfw
+    });
+}
+
+/**
+ * Bring the commands registered at one scope in line with `commands`,
+ * only creating, editing or deleting the ones that differ
+ * @param {REST} rest
+ * @param {string|null} guildId - Guild to sync, or null for global commands
+ * @param {Array<Object>} commands - Command JSON (SlashCommandBuilder.toJSON())
+ * @returns {Promise<{ created: string[], updated: string[], deleted: string[] }>}
+ */
+async function syncCommands(rest, guildId, commands) {
+    const applicationId = process.env.DISCORD_CLIENT_ID;
+    const listRoute = guildId
+        ? Routes.applicationGuildCommands(applicationId, guildId)
+        : Routes.applicationCommands(applicationId);
+    const commandRoute = (commandId) => guildId
+        ? Routes.applicationGuildCommand(applicationId, guildId, commandId)
+        : Routes.applicationCommand(applicationId, commandId);
+
+    const registered = await rest.get(listRoute);
+    const registeredByName = new Map(registered.map(command => [command.name, command]));
+    const changes = { created: [], updated: [], deleted: [] };
+
+    for (const command of commands) {
+        const existing = registeredByName.get(command.name);
+        registeredByName.delete(command.name);
+
+        if (!existing) {
+            await rest.post(listRoute, { body: command });
+            changes.created.push(command.name);
+        } else if (normalizeCommand(existing) !== normalizeCommand(command)) {
+            await rest.patch(commandRoute(existing.id), { body: command });
+            changes.updated.push(command.name);
+        }
+    }
+
+    // Anything left over was removed from commandsList
+    for (const stale of registeredByName.values()) {
+        await rest.delete(commandRoute(stale.id));
+        changes.deleted.push(stale.name);
+    }
+
+    return changes;
+}
+
+function logChanges(scope, { created, updated, deleted }) {
+    if (!created.length && !updated.length && !deleted.length) {
+        console.log(`Slash commands for ${scope} are up to date`);
+        return;
+    }
+    console.log(`Slash commands for ${scope}: created [${created.join(', ')}], updated [${updated.join(', ')}], deleted [${deleted.join(', ')}]`);
+}
+
+/**
+ * Register commands for one guild, e.g. when the bot joins a new server.
+ * In global mode there is nothing to do per guild.
+ */
+export async function registerGuildCommands(guild, commandsList) {
+    if (useGlobalCommands()) {
+        return null;
+    }
+
+    const changes = await syncCommands(getRest(), guild.id, commandsList.map(command => command.toJSON()));
+    logChanges(`guild ${guild.name || guild.id}`, changes);
+    return changes;
+}
+
+/**
+ * Register commands everywhere the bot is used: globally if DISCORD_GLOBAL_COMMANDS is on,
+ * otherwise in every guild it's currently in. A failing guild doesn't stop the others.
+ */
+export async function registerAllCommands(discordClient, commandsList) {
+    const rest = getRest();
+    const commands = commandsList.map(command => command.toJSON());
+    const guilds = await discordClient.guilds.fetch();
+
+    if (useGlobalCommands()) {
+        logChanges('global scope', await syncCommands(rest, null, commands));
+    }
+
+    const results = [];
+    for (const guild of guilds.values()) {
+        try {
+            // In global mode, clear guild copies left from before so commands don't show up twice
+            const changes = await syncCommands(rest, guild.id, useGlobalCommands() ? [] : commands);
+            logChanges(`guild ${guild.name}`, changes);
+            results.push({ guildId: guild.id, status: 'success', ...changes });
+        } catch (error) {
+            console.error(`Error registering slash commands for guild ${guild.name} (${guild.id}):`, error);
+            results.push({ guildId: guild.id, status: 'failed', error: error.message });
+        }
+    }
+
+    return results;
+}
@@ -1,10 +1,17 @@
-import { Client, GatewayIntentBits, REST, Routes, SlashCommandBuilder, MessageFlags, EmbedBuilder } from 'discord.js';
+import { Client, GatewayIntentBits, REST, Routes, SlashCommandBuilder, MessageFlags, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, PermissionFlagsBits, ChannelType } from 'discord.js';
 import 'dotenv/config';
-import { isDiscordUserAuthenticated, getFirebaseUserId, sanitizeDiscordId,sanitizeUrl,sanitizeCampaignId,videoContainsRequiredSound,getTikTokVideoData,linkTikTokAccount, isTikTokUrl } from './helper.js';
+import { isDiscordUserAuthenticated, getFirebaseUserId, sanitizeDiscordId,sanitizeUrl,sanitizeCampaignId,videoContainsRequiredSound,linkSocialAccount, hasAdminOrOwnerRole } from './helper.js';
+import { detectPlatform, describePlatforms, campaignAcceptsPlatform, getCampaignPlatforms, getCampaignSoundId, getPlatformAdapter, getVideoPlatform, SUPPORTED_PLATFORMS } from './platforms/index.js';
+import { getCreatorWalletSummary, payCreator, setPayoutMethod } from './payments.js';
+import { getPayoutProvider, getUserPayoutProvider } from './payoutProviders/index.js';
+import { formatMoney, readEarnings, readWallet, DEFAULT_CURRENCY } from './money.js';
+import { getCampaignLeaderboard } from './leaderboard.js';
+import { buildLeaderboardEmbed, getServerDoc } from './discordCampaignManager.js';
+import { hasCampaignStarted, hasCampaignEnded, isCampaignOpen, toMillis, wasVideoPostedBeforeStart } from './campaignSchedule.js';
+import { acceptSubmission, getCreatorSubmissions, getPendingSubmissions, reviewSubmission, SUBMISSION_REJECTION_REASONS } from './submissions.js';
 import crypto from 'crypto';
 import { db, FieldValue } from './firebaseAdmin.js';
 import { TOKEN_EXPIRY, RATE_LIMIT_WINDOW, MAX_REQUESTS, RATE_LIMIT } from './constants.js';
-import axios from 'axios';
 
 const client = new Client({
     intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent]
@@ -62,17 +69,126 @@ const commandsList = [
         .setDescription('List available commands'),
     new SlashCommandBuilder()
         .setName('link')
-        .setDescription('Link your TikTok account')
+        .setDescription('Link your TikTok, Instagram or YouTube account')
         .addStringOption(option =>
-            option.setName('tiktok_username')
-                .setDescription('Your TikTok username')
+            option.setName('username')
+                .setDescription('Your username on that platform')
                 .setRequired(true))
         .addStringOption(option =>
             option.setName('link_token')
                 .setDescription('The token generated from the website')
-                .setRequired(true)),
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('platform')
+                .setDescription('Where the account is (default TikTok)')
+                .setRequired(false)
+                .addChoices(...SUPPORTED_PLATFORMS.map(platformId => ({
+                    name: getPlatformAdapter(platformId).accountName,
+                    value: platformId
+                })))),
+    new SlashCommandBuilder()
+        .setName('review')
+        .setDescription('Approve or reject pending submissions for a campaign (admins only)')
+        .addStringOption(option =>
+            option
+                .setName('campaign_id')
+                .setDescription('The campaign ID')
+                .setRequired(true)
+                .setAutocomplete(true)),
+    new SlashCommandBuilder()
+        .setName('mysubmissions')
+        .setDescription('See the videos you have submitted with their status and earnings')
+        .addStringOption(option =>
+            option
+                .setName('campaign_id')
+                .setDescription('Only show submissions for this campaign')
+                .setRequired(false)
+                .setAutocomplete(true)),
+    new SlashCommandBuilder()
+        .setName('wallet')
+        .setDescription('See your wallet balance, pending earnings and recent payouts'),
+    new SlashCommandBuilder()
+        .setName('payout')
+        .setDescription('Withdraw your wallet balance with your payout method'),
+    new SlashCommandBuilder()
+        .setName('payoutmethod')
+        .setDescription('Choose how your payouts are sent')
+        .addStringOption(option =>
+            option
+                .setName('method')
+                .setDescription('PayPal pays your payment email, Stripe pays your connected Stripe account')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'PayPal', value: 'paypal' },
+                    { name: 'Stripe', value: 'stripe' }
+                ))
+        .addStringOption(option =>
+            option
+                .setName('stripe_account_id')
+                .setDescription('Your Stripe connected account ID (acct_...), needed the first time you pick Stripe')
+                .setRequired(false)),
+    new SlashCommandBuilder()
+        .setName('leaderboard')
+        .setDescription('See the top creators in a campaign')
+        .addStringOption(option =>
+            option
+                .setName('campaign_id')
+                .setDescription('The campaign ID')
+                .setRequired(true)
+                .setAutocomplete(true))
+        .addStringOption(option =>
+            option
+                .setName('sort_by')
+                .setDescription('Rank creators by views (default) or earnings')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Views', value: 'views' },
+                    { name: 'Earnings', value: 'earnings' }
+                )),
+    new SlashCommandBuilder()
+        .setName('setup')
+        .setDescription('Configure where this server gets campaign posts (server admins only)')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('configure')
+                .setDescription('Choose the campaign channels and the role to ping')
+                .addChannelOption(option =>
+                    option
+                        .setName('active_campaigns_channel')
+                        .setDescription('Channel where active campaigns are posted')
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                        .setRequired(true))
+                .addChannelOption(option =>
+                    option
+                        .setName('announcements_channel')
+                        .setDescription('Channel for campaign announcements')
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                        .setRequired(false))
+                .addRoleOption(option =>
+                    option
+                        .setName('ping_role')
+                        .setDescription('Role to ping with announcements')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Show the current configuration for this server')),
 ];
 
+// What creators see when acceptSubmission turns a video away
+const SUBMISSION_REJECTION_MESSAGES = {
+    [SUBMISSION_REJECTION_REASONS.CAMPAIGN_NOT_FOUND]: 'Campaign not found.',
+    [SUBMISSION_REJECTION_REASONS.CAMPAIGN_COMPLETE]: 'Sorry, this campaign has already ended.',
+    [SUBMISSION_REJECTION_REASONS.MAX_SUBMISSIONS_REACHED]: 'Sorry, this campaign has already reached the max number of submissions',
+    [SUBMISSION_REJECTION_REASONS.CREATOR_LIMIT_REACHED]: 'Sorry, you have already submitted the maximum number of videos allowed per creator for this campaign.',
+    [SUBMISSION_REJECTION_REASONS.DUPLICATE_SUBMISSION]: 'This video has already been submitted.',
+    [SUBMISSION_REJECTION_REASONS.CAMPAIGN_NOT_STARTED]: "Sorry, this campaign hasn't started yet.",
+    [SUBMISSION_REJECTION_REASONS.CAMPAIGN_ENDED]: 'Sorry, this campaign has already ended.',
+    [SUBMISSION_REJECTION_REASONS.VIDEO_POSTED_BEFORE_START]: 'Only videos posted after the campaign started are eligible.'
+};
+
 // Command handlers
 const handleSubmitCommand = async (interaction) => {
     try {
@@ -94,48 +210,47 @@ const handleSubmitCommand = async (interaction) => {
             });
         }
 
-        // Check if TikTok account is verified
+        const campaignId = sanitizeCampaignId(interaction.options.getString('campaign_id'));
+        let videoUrl = sanitizeUrl(interaction.options.getString('video_url'));
+
+        // Work out which platform the link belongs to - use editReply since we already deferred
+        const adapter = detectPlatform(videoUrl);
+        if (!adapter) {
+            return interaction.editReply({
+                content: `❌ That doesn't look like a valid video URL. Please make sure you're sharing a ${describePlatforms(SUPPORTED_PLATFORMS)} link.`
+            });
+        }
+
+        // Check if the creator has a verified account on that platform
         const userDoc = await db.collection('users').doc(firebaseUserId).get();
         const userData = userDoc.data();
-        
-        if (!userData?.tiktokVerified) {
+        const linkedUserAccounts = Object.keys(userData?.[adapter.linkedAccountsField] || {});
+
+        if (linkedUserAccounts.length === 0) {
             const errorEmbed = new EmbedBuilder()
                 .setColor('#FF0000')
-                .setTitle('❌ TikTok Account Not Verified')
-                .setDescription('You need to verify your TikTok account before submitting videos. Use the /link command to verify your TikTok account.');
+                .setTitle(`❌ ${adapter.displayName} Account Not Verified`)
+                .setDescription(`You need to verify your ${adapter.displayName} account before submitting videos. Use the /link command or visit the "discord" tab in your creator dashboard to verify your account.`);
             
             return interaction.editReply({
                 embeds: [errorEmbed]
             });
         }
 
-        const campaignId = sanitizeCampaignId(interaction.options.getString('campaign_id'));
-        let videoUrl = sanitizeUrl(interaction.options.getString('video_url'));
-
-        // Validate TikTok URL - use editReply since we already deferred
-        if (!isTikTokUrl(videoUrl)) {
+        // Expand shortened/shareable urls and strip tracking params
+        try {
+            videoUrl = await adapter.canonicalizeUrl(videoUrl);
+        } catch (error) {
+            const errorEmbed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle('❌ Error')
+                .setDescription(`Shortened ${adapter.displayName} URLs can be unreliable. Please use the full video URL instead.`);
+            
             return interaction.editReply({
-                content: '❌ That doesn\'t look like a valid TikTok URL. Please make sure you\'re sharing a TikTok video link.'
+                embeds: [errorEmbed]
             });
         }
 
-        // Check for shortened/shareable urls and convert to full length
-        if (isShortenedTikTokUrl(videoUrl)) {
-            try {
-                const expandedUrl = await expandTikTokUrl(videoUrl);
-                videoUrl = expandedUrl;
-            } catch (error) {
-                const errorEmbed = new EmbedBuilder()
-                    .setColor('#FF0000')
-                    .setTitle('❌ Error')
-                    .setDescription('Shortened TikTok URLs can be unreliable. Please use the full video URL instead.');
-                
-                return interaction.editReply({
-                    embeds: [errorEmbed]
-                });
-            }
-        }
-
         const campaignRef = db.collection('campaigns').doc(campaignId);
         const campaign = await campaignRef.get();
         const campaignData = campaign.data();
@@ -147,64 +262,59 @@ const handleSubmitCommand = async (interaction) => {
         }
 
         // Check if campaign is complete
-        if (campaignData.isComplete) {
+        if (campaignData.isComplete || hasCampaignEnded(campaignData)) {
             return interaction.editReply({ 
                 content: 'Sorry, this campaign has already ended.'
             });
         }
 
-        // Get TikTok video data
-        const videoData = await getTikTokVideoData(videoUrl);
-
-        // Check if video belongs to one of the verified accounts
-        const linkedUserAccounts = Object.keys(userData.tiktokData);
-        const submissionUsername = videoData.author.uniqueId;
-        if (!linkedUserAccounts.includes(submissionUsername)) {
+        if (!hasCampaignStarted(campaignData)) {
             return interaction.editReply({ 
-                content: 'Sorry, this social media account has not been linked or verified yet. Please use the /link discord command or visit the "discord" tab in your creator dashboard for more instructions.'
+                content: "Sorry, this campaign hasn't started yet."
             });
         }
 
-        // Check if required sound is included
-        if (campaignData.requireSound && campaignData.soundId) {
-            const hasRequiredSound = await videoContainsRequiredSound(videoUrl, campaignData);
-            if (!hasRequiredSound) {
-                const errorEmbed = new EmbedBuilder()
-                    .setColor('#FF0000')
-                    .setTitle('❌ Error')
-                    .setDescription(`We've detected this submission does not contain the required sound ID: ${campaignData.soundId}. Please double check your submission or contact your administrator for more information.`);
-                
-                return interaction.editReply({ 
-                    embeds: [errorEmbed]
-                });
-            }
+        // Check if campaign accepts videos from this platform
+        if (!campaignAcceptsPlatform(campaignData, adapter.id)) {
+            return interaction.editReply({ 
+                content: `Sorry, this campaign doesn't accept ${adapter.displayName} videos. Accepted platforms: ${describePlatforms(getCampaignPlatforms(campaignData))}.`
+            });
         }
 
-        // Check for duplicate submissions
-        const existingVideos = campaignData.videos || [];
-        const isDuplicate = existingVideos.some(video => video.id === videoData.id || video.url === videoUrl);
-        
-        if (isDuplicate) {
+        // Get platform video data
+        const videoData = await adapter.getPostMetrics(videoUrl);
+
+        // Only videos published during the campaign count
+        if (wasVideoPostedBeforeStart(videoData.createdAt, campaignData)) {
             const errorEmbed = new EmbedBuilder()
                 .setColor('#FF0000')
                 .setTitle('❌ Error')
-                .setDescription('This video has already been submitted.');
+                .setDescription(`This video was posted before the campaign started on <t:${Math.floor(toMillis(campaignData.startsAt) / 1000)}:f>. Only videos posted after the start date are eligible.`);
             
             return interaction.editReply({
                 embeds: [errorEmbed]
             });
         }
 
-        // Check max submissions limit
-        if (campaignData.maxSubmissions && campaignData.maxSubmissions !== '' && campaignData.maxSubmissions !== null) {
-            const currentSubmissions = existingVideos.length;
-            if (currentSubmissions >= campaignData.maxSubmissions) {
+        // Check if video belongs to one of the verified accounts
+        const submissionUsername = adapter.getAuthorHandle(videoData);
+        if (!linkedUserAccounts.includes(submissionUsername)) {
+            return interaction.editReply({ 
+                content: 'Sorry, this social media account has not been linked or verified yet. Please use the /link discord command or visit the "discord" tab in your creator dashboard for more instructions.'
+            });
+        }
+
+        // Check if required sound is included
+        const campaignSoundId = getCampaignSoundId(campaignData, adapter.id);
+        if (campaignData.requireSound && campaignSoundId && adapter.supportsSoundId) {
+            const hasRequiredSound = videoContainsRequiredSound(videoData, campaignData);
+            if (!hasRequiredSound) {
                 const errorEmbed = new EmbedBuilder()
                     .setColor('#FF0000')
                     .setTitle('❌ Error')
-                    .setDescription('Sorry, this campaign has already reached the max number of submissions');
+                    .setDescription(`We've detected this submission does not contain the required sound ID: ${campaignSoundId}. Please double check your submission or contact your administrator for more information.`);
                 
-                return interaction.editReply({
+                return interaction.editReply({ 
                     embeds: [errorEmbed]
                 });
             }
@@ -217,7 +327,8 @@ const handleSubmitCommand = async (interaction) => {
             status: 'pending',
             updated_at: now,
             url: videoUrl,
-            // Add TikTok video data
+            platform: adapter.id,
+            // Add platform video data
             id: videoData.id,
             title: videoData.title,
             author: videoData.author,
@@ -233,9 +344,18 @@ const handleSubmitCommand = async (interaction) => {
             hasBeenPaid: false
         };
 
-        await campaignRef.update({
-            videos: FieldValue.arrayUnion(submissionData)
-        });
+        // Completion, the submission cap, duplicates and per-creator limits are checked atomically
+        const acceptance = await acceptSubmission(campaignId, submissionData);
+        if (!acceptance.accepted) {
+            const errorEmbed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle('❌ Error')
+                .setDescription(SUBMISSION_REJECTION_MESSAGES[acceptance.reason] || 'Sorry, this submission could not be accepted.');
+            
+            return interaction.editReply({
+                embeds: [errorEmbed]
+            });
+        }
 
         const successEmbed = new EmbedBuilder()
             .setColor('#00FF00')
@@ -249,10 +369,12 @@ const handleSubmitCommand = async (interaction) => {
         console.error('Error adding video:', error);
         let errorMessage = 'There was an error adding your video. ';
         
-        if (error.message.includes('Invalid')) {
+        if (error.code === 'VIDEO_UNAVAILABLE') {
+            errorMessage = '❌ Error: We couldn\'t find that video. Please make sure it is public and hasn\'t been deleted.';
+        } else if (error.message.includes('Invalid')) {
             errorMessage += error.message;
         } else if (error.message.includes('Could not extract video/photo ID')) {
-            errorMessage = '❌ Error: Invalid TikTok URL. Please make sure you are submitting a valid TikTok video or photo URL.';
+            errorMessage = '❌ Error: Invalid video URL. Please make sure you are submitting a valid video or photo URL.';
         } else {
             errorMessage += 'Please try again.';
         }
@@ -275,51 +397,6 @@ const handleSubmitCommand = async (interaction) => {
     }
 };
 
-export async function expandTikTokUrl(url) {
-    try {  
-      const response = await axios({
-        method: 'GET',
-        url: url,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          'DNT': '1',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1'
-        },
-        maxRedirects: 5,
-        validateStatus: (status) => status >= 200 && status < 400,
-        timeout: 10000
-      });
-  
-      const expandedUrl = response.request.res.responseUrl;
-      return expandedUrl;
-  
-    } catch (error) {
-      console.error('Error expanding TikTok URL:', error);
-      throw new Error('Error processing video URL. Shortened TikTok URLs can be unreliable. Please use the full video URL instead.');
-    }
-}
-  
-function isShortenedTikTokUrl(url) {
-  const lowerUrl = url.toLowerCase();
-  const fullVideoPattern = /tiktok\.com\/@[^\/]+\/video\/\d+/;
-  const fullPhotoPattern = /tiktok\.com\/@[^\/]+\/photo\/\d+/;
-  const shortenedPatterns = [
-      /tiktok\.com\/t\//,
-      /vm\.tiktok\.com/,
-      /vt\.tiktok\.com/,
-      /tiktok\.com\/v\//
-  ];
-
-  // A URL is shortened if it matches a shortened pattern AND is not a full video/photo pattern
-  return shortenedPatterns.some(pattern => pattern.test(lowerUrl)) && 
-         !fullVideoPattern.test(lowerUrl) && 
-         !fullPhotoPattern.test(lowerUrl);
-}
-
 const handleCampaignsCommand = async (interaction) => {
     const isAuthenticated = await isDiscordUserAuthenticated(interaction.user.id);
     if (!isAuthenticated) {
@@ -337,14 +414,17 @@ const handleCampaignsCommand = async (interaction) => {
         .limit(20)
         .get();
 
-    if (campaignsSnapshot.empty) {
+    // Scheduled campaigns stay hidden until their start date
+    const openCampaignDocs = campaignsSnapshot.docs.filter(doc => isCampaignOpen(doc.data()));
+
+    if (openCampaignDocs.length === 0) {
         return interaction.reply({
             content: 'No active campaigns found for this server. Please contact the server admin for more information.',
             flags: MessageFlags.Ephemeral
         });
     }
     
-    const embeds = campaignsSnapshot.docs.map(doc => {
+    const embeds = openCampaignDocs.map(doc => {
         const data = doc.data();
         const embed = new EmbedBuilder()
             .setTitle(data.name || 'Untitled Campaign')
@@ -363,6 +443,12 @@ const handleCampaignsCommand = async (interaction) => {
             soundSection += `**URL:** N/A`;
         }
         embed.addFields({ name: "Sound", value: soundSection });
+        embed.addFields({ name: "Platforms", value: describePlatforms(getCampaignPlatforms(data)) });
+
+        const endsAt = toMillis(data.endsAt);
+        if (endsAt) {
+            embed.addFields({ name: "Ends", value: `<t:${Math.floor(endsAt / 1000)}:R>` });
+        }
 
         let notesSection = '';
         if (data.notes && data.notes.trim() !== '') {
@@ -453,17 +539,21 @@ const handleStatusCommand = async (interaction) => {
         const isAuthenticated = await isDiscordUserAuthenticated(interaction.user.id);
         let email = null;
         let tiktokVerified = false;
-        let linkedTikTokAccounts = [];
+        let linkedAccounts = [];
         const firebaseUserId = await getFirebaseUserId(interaction.user.id);
         if (firebaseUserId) {
             const userDoc = await db.collection('users').doc(firebaseUserId).get();
             if (userDoc.exists) {
                 email = userDoc.data().email || null;
                 tiktokVerified = userDoc.data().tiktokVerified || false;
-                linkedTikTokAccounts = Object.keys(userDoc.data().tiktokData || {}).join(', ');
+                linkedAccounts = SUPPORTED_PLATFORMS.flatMap(platformId => {
+                    const adapter = getPlatformAdapter(platformId);
+                    return Object.keys(userDoc.data()[adapter.linkedAccountsField] || {})
+                        .map(handle => `${handle} (${adapter.accountName})`);
+                }).join(', ');
             }
         }
-        let content = `**Username:** \`${interaction.user.username}\`\n**Logged In:** \`${isAuthenticated}\`\n**Server ID:** \`${interaction.guildId}\`\n**TikTok Account Verified:** \`${tiktokVerified}\`\n**Linked Social Media Accounts:** \`${linkedTikTokAccounts || 'None'}\``;
+        let content = `**Username:** \`${interaction.user.username}\`\n**Logged In:** \`${isAuthenticated}\`\n**Server ID:** \`${interaction.guildId}\`\n**TikTok Account Verified:** \`${tiktokVerified}\`\n**Linked Social Media Accounts:** \`${linkedAccounts || 'None'}\``;
         if (email) {
             content += `\n**Email:** \`${email}\``;
         }
@@ -527,14 +617,15 @@ const handleLinkCommand = async (interaction) => {
             });
         }
 
-        const tiktokUsername = interaction.options.getString('tiktok_username');
+        const username = interaction.options.getString('username');
         const linkToken = interaction.options.getString('link_token');
+        const adapter = getPlatformAdapter(interaction.options.getString('platform') || 'tiktok');
 
-        if (!tiktokUsername || !linkToken) {
+        if (!username || !linkToken) {
             const errorEmbed = new EmbedBuilder()
                 .setColor('#FF0000')
                 .setTitle('❌ Error')
-                .setDescription('Both TikTok username and link token are required.');
+                .setDescription(`Both ${adapter.accountName} username and link token are required.`);
             
             return interaction.reply({
                 embeds: [errorEmbed],
@@ -545,8 +636,8 @@ const handleLinkCommand = async (interaction) => {
         // First reply to acknowledge the command
         await interaction.deferReply({ ephemeral: true });
 
-        // Link the TikTok account
-        const result = await linkTikTokAccount(tiktokUsername, linkToken);
+        // Link the account
+        const result = await linkSocialAccount(adapter.id, username, linkToken);
         
         const embed = new EmbedBuilder()
             .setTitle(result.success ? '✅ Success' : '❌ Error')
@@ -555,8 +646,8 @@ const handleLinkCommand = async (interaction) => {
 
         if (result.success) {
             embed.addFields(
-                { name: 'TikTok Username', value: result.data.uniqueId },
-                { name: 'Profile', value: result.data.title }
+                { name: `${adapter.accountName} Username`, value: result.data.uniqueId },
+                { name: 'Profile', value: result.data.title || result.data.uniqueId }
             );
         }
 
@@ -570,7 +661,7 @@ const handleLinkCommand = async (interaction) => {
         const errorEmbed = new EmbedBuilder()
             .setColor('#FF0000')
             .setTitle('❌ Error')
-            .setDescription('Failed to link TikTok account. Please try again later.');
+            .setDescription('Failed to link your account. Please try again later.');
         
         return interaction.editReply({
             embeds: [errorEmbed],
@@ -595,6 +686,7 @@ const handleCampaignAutocomplete = async (interaction) => {
         const MAX_NAME_LENGTH = 100;
 
         const choices = campaignsSnapshot.docs
+            .filter(doc => isCampaignOpen(doc.data()))
             .map(doc => {
                 const data = doc.data();
                 // Combine name and notes, truncate to 100 chars if needed
@@ -629,6 +721,772 @@ const handleCampaignAutocomplete = async (interaction) => {
     }
 };
 
+// Shared admin/owner check for moderation commands, returns the reviewer's Firebase user ID or null
+const getAdminFirebaseUserId = async (discordId) => {
+    const firebaseUserId = await getFirebaseUserId(discordId);
+    if (!firebaseUserId) {
+        return null;
+    }
+    const userDoc = await db.collection('users').doc(firebaseUserId).get();
+    return userDoc.exists && hasAdminOrOwnerRole(userDoc.data()) ? firebaseUserId : null;
+};
+
+const truncate = (text, maxLength) => text.length > maxLength ? text.substring(0, maxLength - 3) + '...' : text;
+
+// Build the embed and buttons for one page of a campaign's pending submissions
+const buildReviewPage = async (campaignId, requestedIndex) => {
+    const pendingSubmissions = await getPendingSubmissions(campaignId);
+
+    if (pendingSubmissions.length === 0) {
+        const embed = new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('✅ All caught up')
+            .setDescription(`There are no pending submissions for campaign \`${campaignId}\`.`);
+        return { embeds: [embed], components: [] };
+    }
+
+    // Clamp so approving the last item in the queue doesn't leave us on an empty page
+    const index = Math.min(Math.max(requestedIndex, 0), pendingSubmissions.length - 1);
+    const submission = pendingSubmissions[index];
+    const platform = getPlatformAdapter(getVideoPlatform(submission));
+
+    const embed = new EmbedBuilder()
+        .setColor(0x0099ff)
+        .setTitle(`Pending submission ${index + 1} of ${pendingSubmissions.length}`)
+        .setURL(submission.url)
+        .addFields(
+            { name: 'Platform', value: platform.displayName, inline: true },
+            { name: 'Creator', value: submission.author?.uniqueId ? `@${submission.author.uniqueId}` : 'Unknown', inline: true },
+            { name: 'Submitted', value: submission.created_at ? `<t:${Math.floor(submission.created_at / 1000)}:R>` : 'N/A', inline: true },
+            { name: 'Views', value: (submission.views || 0).toLocaleString(), inline: true },
+            { name: 'Likes', value: (submission.likes || 0).toLocaleString(), inline: true },
+            { name: 'Sound Match', value: submission.soundIdMatch === undefined ? 'Not checked yet' : (submission.soundIdMatch ? 'Yes' : 'No'), inline: true }
+        );
+
+    if (submission.description && submission.description.trim() !== '') {
+        embed.setDescription(truncate(submission.description, 300));
+    }
+
+    const decisionRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`review:approve:${campaignId}:${submission.submissionId}:${index}`)
+            .setLabel('Approve')
+            .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId(`review:reject:${campaignId}:${submission.submissionId}:${index}`)
+            .setLabel('Reject')
+            .setStyle(ButtonStyle.Danger)
+    );
+
+    const pagingRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`review:page:${campaignId}:${index - 1}`)
+            .setLabel('◀ Previous')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(index === 0),
+        new ButtonBuilder()
+            .setCustomId(`review:page:${campaignId}:${index + 1}`)
+            .setLabel('Next ▶')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(index >= pendingSubmissions.length - 1)
+    );
+
+    return { embeds: [embed], components: [decisionRow, pagingRow] };
+};
+
+const handleReviewCommand = async (interaction) => {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const isAuthenticated = await isDiscordUserAuthenticated(interaction.user.id);
+        if (!isAuthenticated) {
+            return interaction.editReply({ 
+                content: 'You need to log in first. Use the /login command.'
+            });
+        }
+
+        const reviewerId = await getAdminFirebaseUserId(interaction.user.id);
+        if (!reviewerId) {
+            return interaction.editReply({ 
+                content: 'Unauthorized. Admin or owner role required to review submissions.'
+            });
+        }
+
+        const campaignId = sanitizeCampaignId(interaction.options.getString('campaign_id'));
+        const campaign = await db.collection('campaigns').doc(campaignId).get();
+        if (!campaign.exists) {
+            return interaction.editReply({ 
+                content: 'Campaign not found.'
+            });
+        }
+
+        return interaction.editReply(await buildReviewPage(campaignId, 0));
+    } catch (error) {
+        console.error('Error in review command:', error);
+        return interaction.editReply({ 
+            content: 'Sorry, an error has occurred while loading the review queue. Please try again later.'
+        });
+    }
+};
+
+// Buttons: review:page:<campaignId>:<index>, review:approve|reject:<campaignId>:<submissionId>:<index>
+const handleReviewButton = async (interaction) => {
+    const [, action, campaignId, ...rest] = interaction.customId.split(':');
+
+    const reviewerId = await getAdminFirebaseUserId(interaction.user.id);
+    if (!reviewerId) {
+        return interaction.reply({ 
+            content: 'Unauthorized. Admin or owner role required to review submissions.',
+            flags: MessageFlags.Ephemeral
+        });
+    }
+
+    if (action === 'page') {
+        return interaction.update(await buildReviewPage(campaignId, Number(rest[0]) || 0));
+    }
+
+    const [submissionId, index] = rest;
+
+    if (action === 'reject') {
+        const modal = new ModalBuilder()
+            .setCustomId(`review:rejectReason:${campaignId}:${submissionId}:${index}`)
+            .setTitle('Reject submission')
+            .addComponents(
+                new ActionRowBuilder().addComponents(
+                    new TextInputBuilder()
+                        .setCustomId('rejection_reason')
+                        .setLabel('Reason (shown to the creator)')
+                        .setStyle(TextInputStyle.Paragraph)
+                        .setMaxLength(500)
+                        .setRequired(true)
+                )
+            );
+        return interaction.showModal(modal);
+    }
+
+    if (action === 'approve') {
+        const result = await reviewSubmission(campaignId, submissionId, {
+            status: 'approved',
+            reviewerId,
+            reviewerDiscordId: interaction.user.id
+        });
+        const page = await buildReviewPage(campaignId, Number(index) || 0);
+        return interaction.update({
+            ...page,
+            content: result.success ? '✅ Submission approved.' : `❌ ${result.error}`
+        });
+    }
+
+    return interaction.reply({ 
+        content: 'Unknown review action',
+        flags: MessageFlags.Ephemeral
+    });
+};
+
+// Modal: review:rejectReason:<campaignId>:<submissionId>:<index>
+const handleReviewModal = async (interaction) => {
+    const [, , campaignId, submissionId, index] = interaction.customId.split(':');
+
+    const reviewerId = await getAdminFirebaseUserId(interaction.user.id);
+    if (!reviewerId) {
+        return interaction.reply({ 
+            content: 'Unauthorized. Admin or owner role required to review submissions.',
+            flags: MessageFlags.Ephemeral
+        });
+    }
+
+    const result = await reviewSubmission(campaignId, submissionId, {
+        status: 'rejected',
+        reviewerId,
+        reviewerDiscordId: interaction.user.id,
+        reason: interaction.fields.getTextInputValue('rejection_reason').trim()
+    });
+
+    const page = await buildReviewPage(campaignId, Number(index) || 0);
+    return interaction.update({
+        ...page,
+        content: result.success ? '🚫 Submission rejected.' : `❌ ${result.error}`
+    });
+};
+
+const MY_SUBMISSIONS_PAGE_SIZE = 5;
+
+const SUBMISSION_STATUS_LABELS = {
+    pending: '⏳ Pending review',
+    approved: '✅ Approved',
+    rejected: '🚫 Rejected'
+};
+
+// Build one page of the caller's submissions; campaignFilter is 'all' or a campaign ID
+const buildMySubmissionsPage = async (firebaseUserId, campaignFilter, requestedPage) => {
+    const submissions = await getCreatorSubmissions(firebaseUserId, {
+        campaignId: campaignFilter === 'all' ? null : campaignFilter
+    });
+
+    if (submissions.length === 0) {
+        return {
+            content: campaignFilter === 'all'
+                ? "You haven't submitted any videos yet. Use /submit to get started."
+                : `You haven't submitted any videos to campaign \`${campaignFilter}\`.`,
+            embeds: [],
+            components: []
+        };
+    }
+
+    const totalPages = Math.ceil(submissions.length / MY_SUBMISSIONS_PAGE_SIZE);
+    const page = Math.min(Math.max(requestedPage, 0), totalPages - 1);
+    const pageSubmissions = submissions.slice(page * MY_SUBMISSIONS_PAGE_SIZE, (page + 1) * MY_SUBMISSIONS_PAGE_SIZE);
+
+    // Look up campaign names for the submissions on this page only
+    const campaignIds = [...new Set(pageSubmissions.map(submission => submission.campaignId))];
+    const campaignDocs = await db.getAll(...campaignIds.map(id => db.collection('campaigns').doc(id)));
+    const campaignNames = Object.fromEntries(
+        campaignDocs.map(doc => [doc.id, doc.exists ? (doc.data().name || doc.id) : doc.id])
+    );
+
+    // Campaigns can pay in different currencies, so totals are kept per currency
+    const totalsByCurrency = submissions.reduce((totals, submission) => {
+        const currency = submission.earningsCurrency || DEFAULT_CURRENCY;
+        totals[currency] = (totals[currency] || 0) + readEarnings(submission);
+        return totals;
+    }, {});
+    const totalEarnings = Object.entries(totalsByCurrency)
+        .map(([currency, amount]) => formatMoney(amount, currency))
+        .join(' + ') || formatMoney(0);
+
+    const embed = new EmbedBuilder()
+        .setColor(0x0099ff)
+        .setTitle('🎬 My Submissions')
+        .setDescription(`${submissions.length} submission${submissions.length === 1 ? '' : 's'} • ${totalEarnings} total earnings`)
+        .setFooter({ text: `Page ${page + 1} of ${totalPages}` });
+
+    pageSubmissions.forEach(submission => {
+        const platform = getPlatformAdapter(getVideoPlatform(submission));
+        const currency = submission.earningsCurrency || DEFAULT_CURRENCY;
+        const lines = [
+            `[${platform.displayName} video](${submission.url})`,
+            `**Status:** ${SUBMISSION_STATUS_LABELS[submission.status] || submission.status || 'Unknown'}`,
+            `**Views:** ${(submission.views || 0).toLocaleString()}`,
+            `**Earnings:** ${formatMoney(readEarnings(submission), currency)}${submission.hasBeenPaid ? ' (paid)' : ' (unpaid)'}`,
+            `**Sound Match:** ${submission.soundIdMatch === undefined ? 'Not checked yet' : (submission.soundIdMatch ? 'Yes' : 'No')}`
+        ];
+        const lostToBudgetCap = readEarnings(submission, 'earningsLostToBudgetCap');
+        if (lostToBudgetCap > 0) {
+            lines.push(`**Lost to Budget Cap:** ${formatMoney(lostToBudgetCap, currency)} (the campaign's budget ran out)`);
+        }
+        if (submission.status === 'rejected' && submission.rejectionReason) {
+            lines.push(`**Reason:** ${truncate(submission.rejectionReason, 200)}`);
+        }
+
+        embed.addFields({
+            name: truncate(campaignNames[submission.campaignId] || submission.campaignId, 256),
+            value: lines.join('\n')
+        });
+    });
+
+    const components = totalPages > 1
+        ? [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`mysubmissions:page:${campaignFilter}:${page - 1}`)
+                .setLabel('◀ Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page === 0),
+            new ButtonBuilder()
+                .setCustomId(`mysubmissions:page:${campaignFilter}:${page + 1}`)
+                .setLabel('Next ▶')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page >= totalPages - 1)
+        )]
+        : [];
+
+    return { content: '', embeds: [embed], components };
+};
+
+const handleMySubmissionsCommand = async (interaction) => {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const isAuthenticated = await isDiscordUserAuthenticated(interaction.user.id);
+        if (!isAuthenticated) {
+            return interaction.editReply({ 
+                content: 'You need to log in first. Use the /login command.'
+            });
+        }
+
+        const firebaseUserId = await getFirebaseUserId(interaction.user.id);
+        if (!firebaseUserId) {
+            return interaction.editReply({ 
+                content: 'Could not find your user account. Please try logging in again.'
+            });
+        }
+
+        const campaignIdOption = interaction.options.getString('campaign_id');
+        const campaignFilter = campaignIdOption ? sanitizeCampaignId(campaignIdOption) : 'all';
+
+        return interaction.editReply(await buildMySubmissionsPage(firebaseUserId, campaignFilter, 0));
+    } catch (error) {
+        console.error('Error in mysubmissions command:', error);
+        return interaction.editReply({ 
+            content: 'Sorry, an error has occurred while loading your submissions. Please try again later.'
+        });
+    }
+};
+
+// Buttons: mysubmissions:page:<campaignId|all>:<page>
+const handleMySubmissionsButton = async (interaction) => {
+    const [, , campaignFilter, page] = interaction.customId.split(':');
+
+    const firebaseUserId = await getFirebaseUserId(interaction.user.id);
+    if (!firebaseUserId) {
+        return interaction.reply({ 
+            content: 'You need to log in first. Use the /login command.',
+            flags: MessageFlags.Ephemeral
+        });
+    }
+
+    return interaction.update(await buildMySubmissionsPage(firebaseUserId, campaignFilter, Number(page) || 0));
+};
+
+const handleWalletCommand = async (interaction) => {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const isAuthenticated = await isDiscordUserAuthenticated(interaction.user.id);
+        if (!isAuthenticated) {
+            return interaction.editReply({ 
+                content: 'You need to log in first. Use the /login command.'
+            });
+        }
+
+        const firebaseUserId = await getFirebaseUserId(interaction.user.id);
+        if (!firebaseUserId) {
+            return interaction.editReply({ 
+                content: 'Could not find your user account. Please try logging in again.'
+            });
+        }
+
+        const summary = await getCreatorWalletSummary(firebaseUserId);
+
+        const pendingValue = summary.pendingCampaigns.length
+            ? summary.pendingCampaigns
+                .map(campaign => `${truncate(campaign.campaignName, 60)}: ${formatMoney(campaign.amount, summary.currency)}`)
+                .join('\n')
+            : 'Nothing waiting on release';
+
+        const payoutsValue = summary.recentPayouts.length
+            ? summary.recentPayouts
+                .map(payout => `${payout.createdAt ? `<t:${Math.floor(payout.createdAt / 1000)}:d>` : 'N/A'} • ${formatMoney(payout.amount, summary.currency)} • ${payout.status}`)
+                .join('\n')
+            : 'No payouts yet';
+
+        const embed = new EmbedBuilder()
+            .setColor(0x0099ff)
+            .setTitle('💰 Wallet')
+            .addFields(
+                { name: 'Available Balance', value: formatMoney(summary.wallet, summary.currency), inline: true },
+                { name: 'Pending Release', value: formatMoney(summary.pendingEarnings, summary.currency), inline: true },
+                { name: 'Payout Method', value: `${getPayoutProvider(summary.payoutMethod).displayName}: ${summary.payoutRecipient || 'Not set'}`, inline: true },
+                { name: 'Pending by Campaign', value: truncate(pendingValue, 1024) },
+                { name: 'Recent Payouts', value: truncate(payoutsValue, 1024) }
+            )
+            .setFooter({ text: 'Pending earnings move to your balance when the campaign releases payments. Use /payout to withdraw and /payoutmethod to change how you are paid.' });
+
+        return interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+        console.error('Error in wallet command:', error);
+        return interaction.editReply({ 
+            content: 'Sorry, an error has occurred while loading your wallet. Please try again later.'
+        });
+    }
+};
+
+// Guards against a double click on Confirm sending two payouts
+const PAYOUTS_IN_PROGRESS = new Set();
+
+// Same preconditions payCreator enforces, checked up front so the user gets a clear message
+const getPayoutBlocker = (userData) => {
+    const provider = getUserPayoutProvider(userData);
+    if (!provider.getRecipient(userData)) {
+        return provider.name === 'paypal'
+            ? 'You need to set a payment email on the website before requesting a payout.'
+            : `You need to connect your ${provider.displayName} account with /payoutmethod before requesting a payout.`;
+    }
+    if (readWallet(userData).amount <= 0) {
+        return 'Your wallet is empty. Earnings are added when a campaign releases its payments.';
+    }
+    return null;
+};
+
+const handlePayoutCommand = async (interaction) => {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const isAuthenticated = await isDiscordUserAuthenticated(interaction.user.id);
+        if (!isAuthenticated) {
+            return interaction.editReply({ 
+                content: 'You need to log in first. Use the /login command.'
+            });
+        }
+
+        const firebaseUserId = await getFirebaseUserId(interaction.user.id);
+        if (!firebaseUserId) {
+            return interaction.editReply({ 
+                content: 'Could not find your user account. Please try logging in again.'
+            });
+        }
+
+        const userDoc = await db.collection('users').doc(firebaseUserId).get();
+        if (!userDoc.exists) {
+            return interaction.editReply({ 
+                content: 'Could not find your user account. Please try logging in again.'
+            });
+        }
+
+        const userData = userDoc.data();
+        const blocker = getPayoutBlocker(userData);
+        if (blocker) {
+            return interaction.editReply({ content: blocker });
+        }
+
+        const { amount: walletAmount, currency } = readWallet(userData);
+        const provider = getUserPayoutProvider(userData);
+        const embed = new EmbedBuilder()
+            .setColor('#FFA500')
+            .setTitle('Confirm payout')
+            .setDescription(`Send **${formatMoney(walletAmount, currency)}** to **${provider.getRecipient(userData)}** via ${provider.displayName}?\nThis withdraws your entire wallet balance.`);
+
+        // The amount is part of the ID so a balance that changed in the meantime isn't paid out unseen
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`payout:confirm:${walletAmount}:${currency}`)
+                .setLabel(`Pay out ${formatMoney(walletAmount, currency)}`)
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId('payout:cancel')
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+        return interaction.editReply({ embeds: [embed], components: [row] });
+    } catch (error) {
+        console.error('Error in payout command:', error);
+        return interaction.editReply({ 
+            content: 'Sorry, an error has occurred while preparing your payout. Please try again later.'
+        });
+    }
+};
+
+// Buttons: payout:confirm:<amount in minor units>:<currency>, payout:cancel
+const handlePayoutButton = async (interaction) => {
+    const [, action, confirmedAmount, confirmedCurrency] = interaction.customId.split(':');
+
+    if (action === 'cancel') {
+        return interaction.update({ content: 'Payout cancelled.', embeds: [], components: [] });
+    }
+
+    const firebaseUserId = await getFirebaseUserId(interaction.user.id);
+    if (!firebaseUserId) {
+        return interaction.update({ content: 'You need to log in first. Use the /login command.', embeds: [], components: [] });
+    }
+
+    if (PAYOUTS_IN_PROGRESS.has(firebaseUserId)) {
+        return interaction.reply({ 
+            content: 'A payout is already being processed for your account.',
+            flags: MessageFlags.Ephemeral
+        });
+    }
+
+    PAYOUTS_IN_PROGRESS.add(firebaseUserId);
+    try {
+        // Remove the buttons straight away; the payout provider can take longer than Discord's 3 second window
+        await interaction.update({ content: '⏳ Processing your payout...', embeds: [], components: [] });
+
+        const userDoc = await db.collection('users').doc(firebaseUserId).get();
+        const userData = userDoc.exists ? userDoc.data() : {};
+        const wallet = readWallet(userData);
+        if (String(wallet.amount) !== confirmedAmount || wallet.currency !== confirmedCurrency) {
+            return interaction.editReply({ 
+                content: `Your balance changed to ${formatMoney(wallet.amount, wallet.currency)} since you started. Run /payout again to confirm the new amount.`
+            });
+        }
+
+        const result = await payCreator(firebaseUserId, {
+            actorId: firebaseUserId,
+            actorName: interaction.user.username
+        });
+
+        if (result.sendState === 'unknown') {
+            return interaction.editReply({ 
+                content: `⏳ Your payout is pending: ${result.error} Please don't request another payout; check /wallet later.`
+            });
+        }
+
+        if (!result.success) {
+            return interaction.editReply({ 
+                content: `❌ Payout failed: ${result.error}`
+            });
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('✅ Payout sent')
+            .setDescription(`${formatMoney(result.amount, result.currency)} is on its way to ${result.recipient} via ${getPayoutProvider(result.paymentMethod).displayName}.`)
+            .addFields({ name: 'Transaction ID', value: result.transactionId });
+
+        return interaction.editReply({ content: '', embeds: [embed] });
+    } catch (error) {
+        console.error('Error processing payout button:', error);
+        return interaction.editReply({ 
+            content: 'Sorry, an error has occurred while processing your payout. Please check /wallet before trying again.'
+        });
+    } finally {
+        PAYOUTS_IN_PROGRESS.delete(firebaseUserId);
+    }
+};
+
+const handlePayoutMethodCommand = async (interaction) => {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const isAuthenticated = await isDiscordUserAuthenticated(interaction.user.id);
+        if (!isAuthenticated) {
+            return interaction.editReply({ 
+                content: 'You need to log in first. Use the /login command.'
+            });
+        }
+
+        const firebaseUserId = await getFirebaseUserId(interaction.user.id);
+        if (!firebaseUserId) {
+            return interaction.editReply({ 
+                content: 'Could not find your user account. Please try logging in again.'
+            });
+        }
+
+        const payoutMethod = interaction.options.getString('method');
+        const stripeAccountId = interaction.options.getString('stripe_account_id')?.trim() || null;
+
+        const result = await setPayoutMethod(firebaseUserId, payoutMethod, { stripeAccountId });
+        if (!result.success) {
+            return interaction.editReply({ 
+                content: `❌ ${result.error}`
+            });
+        }
+
+        return interaction.editReply({ 
+            content: `✅ Your payouts will now be sent with ${getPayoutProvider(payoutMethod).displayName}.`
+        });
+    } catch (error) {
+        console.error('Error in payoutmethod command:', error);
+        return interaction.editReply({ 
+            content: 'Sorry, an error has occurred while updating your payout method. Please try again later.'
+        });
+    }
+};
+
+const handleLeaderboardCommand = async (interaction) => {
+    try {
+        await interaction.deferReply();
+
+        const campaignId = sanitizeCampaignId(interaction.options.getString('campaign_id'));
+        const sortBy = interaction.options.getString('sort_by') || 'views';
+
+        const leaderboard = await getCampaignLeaderboard(campaignId, { sortBy });
+        if (!leaderboard) {
+            return interaction.editReply({ 
+                content: 'Campaign not found.'
+            });
+        }
+
+        return interaction.editReply({ embeds: [buildLeaderboardEmbed(leaderboard)] });
+    } catch (error) {
+        console.error('Error in leaderboard command:', error);
+        return interaction.editReply({ 
+            content: 'Sorry, an error has occurred while loading the leaderboard. Please try again later.'
+        });
+    }
+};
+
+// What the bot needs in each configured channel. Campaign embeds are edited and deleted in place,
+// which only touches the bot's own messages, so Manage Messages isn't needed.
+const CAMPAIGNS_CHANNEL_PERMISSIONS = {
+    ViewChannel: 'View Channel',
+    SendMessages: 'Send Messages',
+    EmbedLinks: 'Embed Links',
+    ReadMessageHistory: 'Read Message History' // to fetch the messages it edits
+};
+const ANNOUNCEMENTS_CHANNEL_PERMISSIONS = {
+    ViewChannel: 'View Channel',
+    SendMessages: 'Send Messages',
+    EmbedLinks: 'Embed Links'
+};
+
+// Names of the permissions the bot is missing in a channel
+const getMissingChannelPermissions = (channel, botMember, requiredPermissions) => {
+    const permissions = channel.permissionsFor(botMember);
+    return Object.entries(requiredPermissions)
+        .filter(([flag]) => !permissions?.has(PermissionFlagsBits[flag]))
+        .map(([, label]) => label);
+};
+
+const checkSetupPermissions = (botMember, { campaignsChannel, announcementsChannel, pingRole }) => {
+    const problems = [];
+
+    const missingInCampaigns = getMissingChannelPermissions(campaignsChannel, botMember, CAMPAIGNS_CHANNEL_PERMISSIONS);
+    if (missingInCampaigns.length) {
+        problems.push(`${campaignsChannel}: missing ${missingInCampaigns.join(', ')}`);
+    }
+
+    if (announcementsChannel) {
+        const missingInAnnouncements = getMissingChannelPermissions(announcementsChannel, botMember, ANNOUNCEMENTS_CHANNEL_PERMISSIONS);
+        if (missingInAnnouncements.length) {
+            problems.push(`${announcementsChannel}: missing ${missingInAnnouncements.join(', ')}`);
+        }
+    }
+
+    // Unmentionable roles only ping if the bot can mention everyone
+    if (pingRole && !pingRole.mentionable && !announcementsChannel?.permissionsFor(botMember)?.has(PermissionFlagsBits.MentionEveryone)) {
+        problems.push(`${pingRole} isn't mentionable and the bot lacks Mention Everyone in the announcements channel`);
+    }
+
+    return problems;
+};
+
+const handleSetupConfigure = async (interaction) => {
+    const campaignsChannel = interaction.options.getChannel('active_campaigns_channel');
+    const announcementsChannel = interaction.options.getChannel('announcements_channel');
+    const pingRole = interaction.options.getRole('ping_role');
+
+    const botMember = await interaction.guild.members.fetchMe();
+    const problems = checkSetupPermissions(botMember, { campaignsChannel, announcementsChannel, pingRole });
+    if (problems.length) {
+        const errorEmbed = new EmbedBuilder()
+            .setColor('#FF0000')
+            .setTitle('❌ Missing permissions')
+            .setDescription(`Fix these and run /setup again:\n${problems.map(problem => `• ${problem}`).join('\n')}`);
+        return interaction.editReply({ embeds: [errorEmbed] });
+    }
+
+    const serverConfig = {
+        server_id: interaction.guildId,
+        server_name: interaction.guild.name,
+        active_campaigns_channel_id: campaignsChannel.id,
+        announcements_channel_id: announcementsChannel?.id || null,
+        ping_role_id: pingRole?.id || null,
+        configuredByDiscordId: interaction.user.id,
+        updatedAt: Date.now()
+    };
+
+    const existingDoc = await getServerDoc(interaction.guildId);
+    if (existingDoc) {
+        // Tracked messages live in the old channel, so start fresh when the channel moves
+        if (existingDoc.data().active_campaigns_channel_id !== campaignsChannel.id) {
+            serverConfig.campaignMessages = {};
+            serverConfig.leaderboardMessages = {};
+        }
+        // isProductionServer is left alone so re-running setup can't move a server between environments
+        await existingDoc.ref.update(serverConfig);
+    } else {
+        await db.collection('servers').doc(interaction.guildId).set({
+            ...serverConfig,
+            campaignMessages: {},
+            isProductionServer: process.env.ENVIRONMENT === 'production',
+            createdAt: Date.now()
+        });
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor('#00FF00')
+        .setTitle('✅ Server configured')
+        .addFields(
+            { name: 'Active Campaigns Channel', value: `${campaignsChannel}`, inline: true },
+            { name: 'Announcements Channel', value: announcementsChannel ? `${announcementsChannel}` : 'Not set', inline: true },
+            { name: 'Ping Role', value: pingRole ? `${pingRole}` : 'Not set', inline: true }
+        )
+        .setFooter({ text: 'Campaigns will be posted on the next scheduled update.' });
+
+    return interaction.editReply({ embeds: [embed] });
+};
+
+const handleSetupView = async (interaction) => {
+    const serverDoc = await getServerDoc(interaction.guildId);
+    if (!serverDoc) {
+        return interaction.editReply({ 
+            content: 'This server has not been set up yet. Use `/setup configure` to get started.'
+        });
+    }
+
+    const server = serverDoc.data();
+    const campaignsChannel = server.active_campaigns_channel_id
+        ? await interaction.guild.channels.fetch(server.active_campaigns_channel_id).catch(() => null)
+        : null;
+    const announcementsChannel = server.announcements_channel_id
+        ? await interaction.guild.channels.fetch(server.announcements_channel_id).catch(() => null)
+        : null;
+    const pingRole = server.ping_role_id
+        ? await interaction.guild.roles.fetch(server.ping_role_id).catch(() => null)
+        : null;
+
+    let status = '✅ All permissions look good';
+    if (!campaignsChannel) {
+        status = '❌ The active campaigns channel no longer exists';
+    } else {
+        const botMember = await interaction.guild.members.fetchMe();
+        const problems = checkSetupPermissions(botMember, { campaignsChannel, announcementsChannel, pingRole });
+        if (problems.length) {
+            status = problems.map(problem => `⚠️ ${problem}`).join('\n');
+        }
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(0x0099ff)
+        .setTitle('⚙️ Server configuration')
+        .addFields(
+            { name: 'Active Campaigns Channel', value: campaignsChannel ? `${campaignsChannel}` : 'Not set', inline: true },
+            { name: 'Announcements Channel', value: announcementsChannel ? `${announcementsChannel}` : 'Not set', inline: true },
+            { name: 'Ping Role', value: pingRole ? `${pingRole}` : 'Not set', inline: true },
+            { name: 'Environment', value: server.isProductionServer ? 'Production' : 'Development', inline: true },
+            { name: 'Status', value: truncate(status, 1024) }
+        );
+
+    return interaction.editReply({ embeds: [embed] });
+};
+
+const handleSetupCommand = async (interaction) => {
+    try {
+        if (!interaction.inGuild()) {
+            return interaction.reply({ 
+                content: 'This command can only be used in a server.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        // default_member_permissions hides the command, but server admins can override that in integration settings
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+            return interaction.reply({ 
+                content: 'Unauthorized. You need the Manage Server permission to set up the bot.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        switch (interaction.options.getSubcommand()) {
+            case 'configure':
+                return await handleSetupConfigure(interaction);
+            case 'view':
+                return await handleSetupView(interaction);
+            default:
+                return interaction.editReply({ content: 'Unknown setup option' });
+        }
+    } catch (error) {
+        console.error('Error in setup command:', error);
+        const content = 'Sorry, an error has occurred while setting up this server. Please try again later.';
+        return interaction.deferred
+            ? interaction.editReply({ content })
+            : interaction.reply({ content, flags: MessageFlags.Ephemeral });
+    }
+};
+
 // Export everything
 export {
     client,
@@ -641,7 +1499,18 @@ export {
     handleStatusCommand,
     handleCommandsCommand,
     handleLinkCommand,
-    handleCampaignAutocomplete
+    handleCampaignAutocomplete,
+    handleReviewCommand,
+    handleReviewButton,
+    handleReviewModal,
+    handleMySubmissionsCommand,
+    handleMySubmissionsButton,
+    handleWalletCommand,
+    handlePayoutCommand,
+    handlePayoutButton,
+    handlePayoutMethodCommand,
+    handleLeaderboardCommand,
+    handleSetupCommand
 };
 
 export const loginClient = () => {
@@ -2,6 +2,7 @@ export const TOKEN_EXPIRY = 1000 * 60 * 15; // 15 minutes
 export const RATE_LIMIT_WINDOW = 1000 * 60; // 1 minute
 export const MAX_REQUESTS = 5;
 export const RATE_LIMIT = new Map();
+export const IDEMPOTENCY_KEY_TTL = 1000 * 60 * 60 * 24; // 24 hours
 
 // Clean up old rate limit entries every minute
 setInterval(() => {
@@ -1,23 +1,217 @@
 import { EmbedBuilder } from 'discord.js';
+import crypto from 'crypto';
 import { db } from './firebaseAdmin.js';
+import { getCampaignLeaderboard } from './leaderboard.js';
+import { hasCampaignStarted, isCampaignOpen } from './campaignSchedule.js';
+import { describeRateCard } from './earnings.js';
+import { formatMoney, toMinorUnits, readMinorUnits, getCampaignCurrency } from './money.js';
 
-export async function updateActiveCampaigns(discordClient) {
-    try {
+// A guild's `servers` document; older docs were created by hand with random IDs so look up by server_id
+export async function getServerDoc(serverId) {
+    const snapshot = await db
+        .collection('servers')
+        .where('server_id', '==', serverId)
+        .limit(1)
+        .get();
 
-        const serversSnapshot = await db
-            .collection('servers')
-            .get();
+    return snapshot.empty ? null : snapshot.docs[0];
+}
 
-        let servers = serversSnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+// Servers this environment posts to
+async function getTargetServers() {
+    const serversSnapshot = await db
+        .collection('servers')
+        .get();
+
+    let servers = serversSnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+    }));
+
+    if (process.env.ENVIRONMENT === "development") {
+        servers = servers.filter(server => !server.isProductionServer);
+    } else if (process.env.ENVIRONMENT === 'production') {
+        servers = servers.filter(server => server.isProductionServer);
+    }
+
+    return servers;
+}
 
-        if (process.env.ENVIRONMENT === "development") {
-            servers = servers.filter(server => !server.isProductionServer);
-        } else if (process.env.ENVIRONMENT === 'production') {
-            servers = servers.filter(server => server.isProductionServer);
+export function buildCampaignEmbed(campaign) {
+    const embed = new EmbedBuilder()
+        .setTitle(campaign.name || 'N/A')
+        .setColor(0x0099ff);
+
+    // Row 1: Type, Views, Earnings (3 inline fields)
+    embed.addFields(
+        {
+            name: '📝 Type',
+            value: campaign.type || 'N/A',
+            inline: true
+        },
+        {
+            name: '👀 Views',
+            value: campaign.views?.toLocaleString() || 'N/A',
+            inline: true
+        },
+        {
+            name: '💰 Earnings',
+            value: campaign.budgetUsed && campaign.budget 
+                ? `${formatCampaignAmount(campaign, campaign.budgetUsed)} / ${formatCampaignAmount(campaign, campaign.budget)}`
+                : 'N/A',
+            inline: true
+        }
+    );
+
+    // Row 2: Rate, Max Submissions, Sounds (3 inline fields)
+    embed.addFields(
+        {
+            name: '💵 Rate',
+            value: describeRateCard(campaign) || 'N/A',
+            inline: true
+        },
+        {
+            name: '📊 Max Submissions',
+            value: campaign.maxSubmissions?.toLocaleString() || 'N/A',
+            inline: true
+        },
+        {
+            name: '🎵 Sounds',
+            value: campaign.soundUrl 
+                ? `[Listen](${campaign.soundUrl})`
+                : 'N/A',
+            inline: true
         }
+    );
+
+    // Full-width fields: Completion and Notes
+    if (campaign.budgetUsed && campaign.budget) {
+        const completionPercentage = (campaign.budgetUsed / campaign.budget) * 100;
+        const progressBar = createProgressBar(completionPercentage);
+        embed.addFields({
+            name: '📈 Completion',
+            value: `${progressBar} ${completionPercentage.toFixed(1)}%`,
+            inline: false
+        });
+    } else {
+        embed.addFields({
+            name: '📈 Completion',
+            value: 'N/A',
+            inline: false
+        });
+    }
+
+    // Earnings are capped at what's been funded through checkout (see getSpendableBudget)
+    if (campaign.fundedAmount) {
+        const funded = formatMoney(readMinorUnits(campaign.fundedAmount, campaign.fundedAmountUnit, campaign.fundedCurrency), campaign.fundedCurrency);
+        embed.addFields({
+            name: '💳 Funded',
+            value: campaign.budget ? `${funded} of ${formatCampaignAmount(campaign, campaign.budget)} budget` : funded,
+            inline: false
+        });
+    }
+
+    // Notes at the bottom (full width)
+    if (campaign.notes && campaign.notes.trim() !== '') {
+        const truncatedNotes = campaign.notes.length > 200 ? 
+            campaign.notes.substring(0, 197) + '...' : campaign.notes;
+        embed.addFields({
+            name: '📋 Notes',
+            value: truncatedNotes,
+            inline: false
+        });
+    }
+
+    if (campaign.imageUrl) {
+        embed.setThumbnail(campaign.imageUrl);
+    }
+
+    return embed;
+}
+
+// Fingerprint of the rendered embed so unchanged campaigns don't cost a Discord API call
+function hashEmbed(embed) {
+    return crypto.createHash('sha256').update(JSON.stringify(embed.toJSON())).digest('hex');
+}
+
+async function fetchMessageOrNull(channel, messageId) {
+    return channel.messages.fetch(messageId).catch(() => null);
+}
+
+/**
+ * Bring a server's campaigns channel in line with its active campaigns. Each server doc keeps
+ * `campaignMessages: { [campaignId]: { messageId, hash } }` so embeds can be edited in place,
+ * new campaigns posted and completed or removed ones deleted, without touching anything else.
+ */
+async function syncServerCampaigns(discordClient, server, campaigns) {
+    const channel = await discordClient.channels.fetch(server.active_campaigns_channel_id);
+    if (!channel) {
+        throw new Error('Channel not found');
+    }
+
+    const counts = { posted: 0, edited: 0, unchanged: 0, deleted: 0 };
+
+    // Servers synced before messages were tracked still have the old wipe-and-repost embeds
+    if (!server.campaignMessages) {
+        const leaderboardMessageIds = new Set(Object.values(server.leaderboardMessages || {}));
+        const existingMessages = await channel.messages.fetch({ limit: 100 });
+        await channel.bulkDelete(
+            existingMessages.filter(message => message.author.id === discordClient.user.id && !leaderboardMessageIds.has(message.id)),
+            true
+        ).catch(console.error);
+    }
+
+    const previousMessages = server.campaignMessages || {};
+    const campaignMessages = {};
+
+    for (const campaign of campaigns) {
+        const embed = buildCampaignEmbed(campaign);
+        const hash = hashEmbed(embed);
+        const previous = previousMessages[campaign.id];
+
+        if (previous?.hash === hash) {
+            campaignMessages[campaign.id] = previous;
+            counts.unchanged++;
+            continue;
+        }
+
+        // Someone may have deleted the message by hand; fall back to posting a new one
+        const existingMessage = previous ? await fetchMessageOrNull(channel, previous.messageId) : null;
+        if (existingMessage) {
+            await existingMessage.edit({ embeds: [embed] });
+            campaignMessages[campaign.id] = { messageId: existingMessage.id, hash };
+            counts.edited++;
+        } else {
+            const message = await channel.send({ 
+                embeds: [embed],
+                flags: 4096 // This is the suppressNotifications flag
+            });
+            campaignMessages[campaign.id] = { messageId: message.id, hash };
+            counts.posted++;
+        }
+    }
+
+    // Campaigns that completed or were taken off this server
+    for (const [campaignId, { messageId }] of Object.entries(previousMessages)) {
+        if (campaignMessages[campaignId]) {
+            continue;
+        }
+        const message = await fetchMessageOrNull(channel, messageId);
+        if (message) {
+            await message.delete();
+        }
+        counts.deleted++;
+    }
+
+    await db.collection('servers').doc(server.id).update({ campaignMessages });
+
+    return counts;
+}
+
+export async function updateActiveCampaigns(discordClient) {
+    try {
+
+        const servers = await getTargetServers();
 
         // Get all campaigns
         const campaignsSnapshot = await db
@@ -35,118 +229,323 @@ export async function updateActiveCampaigns(discordClient) {
         for (const server of servers) {
             // Find campaigns that include this server's ID
             const relevantCampaigns = campaigns.filter(campaign => 
-                campaign.serverIds?.includes(server.server_id) && !campaign.isComplete
+                campaign.serverIds?.includes(server.server_id) && isCampaignOpen(campaign)
             );
 
-            // Get the Discord channel
-            const channel = await discordClient.channels.fetch(server.active_campaigns_channel_id);
-            if (!channel) {
+            try {
+                const counts = await syncServerCampaigns(discordClient, server, relevantCampaigns);
+
+                results.push({
+                    serverId: server.server_id,
+                    status: 'success',
+                    ...counts
+                });
+            } catch (error) {
+                console.error(`Error updating campaigns for server ${server.server_id}:`, error);
                 results.push({
                     serverId: server.server_id,
                     status: 'failed',
-                    error: 'Channel not found'
+                    error: error.message
                 });
-                continue;
             }
+        }
+
+        return {
+            success: true,
+            results
+        };
+    } catch (error) {
+        console.error('Error updating active campaigns:', error);
+        throw error;
+    }
+}
+
+// Budget use thresholds (percent) announced once each
+const BUDGET_MILESTONES = [50, 75, 90];
+
+// Milestones a campaign has reached, in the order they should be announced
+function getReachedMilestones(campaign) {
+    const milestones = [];
+
+    // Scheduled campaigns are announced when they start, not when they're created
+    if (!campaign.isComplete && hasCampaignStarted(campaign)) {
+        milestones.push('newCampaign');
+    }
+
+    if (campaign.budget > 0) {
+        const budgetPercentage = ((campaign.budgetUsed || 0) / campaign.budget) * 100;
+        BUDGET_MILESTONES
+            .filter(threshold => budgetPercentage >= threshold)
+            .forEach(threshold => milestones.push(`budget${threshold}`));
+    }
+
+    if (campaign.isComplete) {
+        milestones.push('completed');
+    }
+    if (campaign.paymentsReleased) {
+        milestones.push('paymentsReleased');
+    }
+
+    return milestones;
+}
+
+function buildMilestoneEmbed(campaign, milestone) {
+    const name = campaign.name || 'N/A';
+    const embed = new EmbedBuilder().setTimestamp();
+
+    if (milestone === 'newCampaign') {
+        embed
+            .setColor(0x0099ff)
+            .setTitle(`🎉 New campaign: ${name}`)
+            .setDescription('A new campaign is live! Use /submit to take part.');
+        const rate = describeRateCard(campaign);
+        if (rate) {
+            embed.addFields({ name: '💵 Rate', value: rate, inline: true });
+        }
+        if (campaign.budget) {
+            embed.addFields({ name: '💰 Budget', value: formatCampaignAmount(campaign, campaign.budget), inline: true });
+        }
+        if (campaign.imageUrl) {
+            embed.setThumbnail(campaign.imageUrl);
+        }
+    } else if (milestone.startsWith('budget')) {
+        embed
+            .setColor('#FFA500')
+            .setTitle(`🔥 ${name} has used ${milestone.replace('budget', '')}% of its budget`)
+            .setDescription('Get your submissions in before it fills up!');
+    } else if (milestone === 'completed') {
+        embed
+            .setColor('#00FF00')
+            .setTitle(`🏁 ${name} is complete`)
+            .setDescription('Thanks to everyone who took part! Payments will be released soon.');
+    } else if (milestone === 'paymentsReleased') {
+        embed
+            .setColor('#00FF00')
+            .setTitle(`💸 Payments released for ${name}`)
+            .setDescription('Earnings have been added to creator wallets. Use /wallet to check your balance.');
+    }
+
+    return embed;
+}
+
+/**
+ * Record that a milestone was announced in a server. Each milestone has a fixed document ID and
+ * create() fails if it already exists, so overlapping cron runs can't both post it.
+ * @returns {Promise<boolean>} false if it was already claimed
+ */
+async function claimAnnouncement(serverId, campaignId, milestone, { seeded = false } = {}) {
+    try {
+        await db.collection('campaignAnnouncements').doc(`${serverId}_${campaignId}_${milestone}`).create({
+            serverId,
+            campaignId,
+            milestone,
+            seeded,
+            createdAt: Date.now()
+        });
+        return true;
+    } catch (error) {
+        if (error.code === 6) { // ALREADY_EXISTS
+            return false;
+        }
+        throw error;
+    }
+}
+
+async function releaseAnnouncement(serverId, campaignId, milestone) {
+    await db.collection('campaignAnnouncements').doc(`${serverId}_${campaignId}_${milestone}`).delete();
+}
+
+/**
+ * Post new campaign, budget (50/75/90%), completion and payment release announcements
+ * to each server's announcements channel, once per milestone per server.
+ * The first run for a server only records what has already happened, so turning
+ * announcements on doesn't flood the channel with old milestones.
+ * @param {Client} discordClient
+ * @param {Object} [options]
+ * @param {string[]} [options.campaignIds] - Only check these campaigns (e.g. right after releasing payments)
+ */
+export async function announceCampaignMilestones(discordClient, { campaignIds = null } = {}) {
+    try {
+        const servers = (await getTargetServers()).filter(server => server.announcements_channel_id);
+
+        const campaignsSnapshot = await db
+            .collection('campaigns')
+            .get();
+
+        const campaigns = campaignsSnapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }));
+
+        const results = [];
+
+        for (const server of servers) {
+            const serverCampaigns = campaigns.filter(campaign => campaign.serverIds?.includes(server.server_id));
 
             try {
-                // Clear existing messages in the channel
-                await channel.bulkDelete(100).catch(console.error);
-
-                // Send new campaign embeds
-                for (const campaign of relevantCampaigns) {
-                    const embed = new EmbedBuilder()
-                        .setTitle(campaign.name || 'N/A')
-                        .setColor(0x0099ff);
-
-                    // Row 1: Type, Views, Earnings (3 inline fields)
-                    embed.addFields(
-                        {
-                            name: '📝 Type',
-                            value: campaign.type || 'N/A',
-                            inline: true
-                        },
-                        {
-                            name: '👀 Views',
-                            value: campaign.views?.toLocaleString() || 'N/A',
-                            inline: true
-                        },
-                        {
-                            name: '💰 Earnings',
-                            value: campaign.budgetUsed && campaign.budget 
-                                ? `$${campaign.budgetUsed.toLocaleString()} / $${campaign.budget.toLocaleString()}`
-                                : 'N/A',
-                            inline: true
+                if (!server.announcementsSeededAt) {
+                    for (const campaign of serverCampaigns) {
+                        for (const milestone of getReachedMilestones(campaign)) {
+                            await claimAnnouncement(server.server_id, campaign.id, milestone, { seeded: true });
                         }
-                    );
+                    }
+                    await db.collection('servers').doc(server.id).update({ announcementsSeededAt: Date.now() });
+                    results.push({ serverId: server.server_id, status: 'seeded' });
+                    continue;
+                }
 
-                    // Row 2: Rate, Max Submissions, Sounds (3 inline fields)
-                    embed.addFields(
-                        {
-                            name: '💵 Rate',
-                            value: campaign.ratePerMillion 
-                                ? `$${campaign.ratePerMillion.toLocaleString()}/M views`
-                                : 'N/A',
-                            inline: true
-                        },
-                        {
-                            name: '📊 Max Submissions',
-                            value: campaign.maxSubmissions?.toLocaleString() || 'N/A',
-                            inline: true
-                        },
-                        {
-                            name: '🎵 Sounds',
-                            value: campaign.soundUrl 
-                                ? `[Listen](${campaign.soundUrl})`
-                                : 'N/A',
-                            inline: true
-                        }
-                    );
+                const channel = await discordClient.channels.fetch(server.announcements_channel_id);
+                let posted = 0;
 
-                    // Full-width fields: Completion and Notes
-                    if (campaign.budgetUsed && campaign.budget) {
-                        const completionPercentage = (campaign.budgetUsed / campaign.budget) * 100;
-                        const progressBar = createProgressBar(completionPercentage);
-                        embed.addFields({
-                            name: '📈 Completion',
-                            value: `${progressBar} ${completionPercentage.toFixed(1)}%`,
-                            inline: false
-                        });
-                    } else {
-                        embed.addFields({
-                            name: '📈 Completion',
-                            value: 'N/A',
-                            inline: false
-                        });
+                for (const campaign of serverCampaigns) {
+                    if (campaignIds && !campaignIds.includes(campaign.id)) {
+                        continue;
                     }
 
-                    // Notes at the bottom (full width)
-                    if (campaign.notes && campaign.notes.trim() !== '') {
-                        const truncatedNotes = campaign.notes.length > 200 ? 
-                            campaign.notes.substring(0, 197) + '...' : campaign.notes;
-                        embed.addFields({
-                            name: '📋 Notes',
-                            value: truncatedNotes,
-                            inline: false
-                        });
+                    const newMilestones = [];
+                    for (const milestone of getReachedMilestones(campaign)) {
+                        if (await claimAnnouncement(server.server_id, campaign.id, milestone)) {
+                            newMilestones.push(milestone);
+                        }
                     }
 
-                    if (campaign.imageUrl) {
-                        embed.setThumbnail(campaign.imageUrl);
+                    // A campaign that jumped several budget thresholds at once only gets the highest one posted
+                    const budgetMilestones = newMilestones.filter(milestone => milestone.startsWith('budget'));
+                    const milestonesToPost = newMilestones.filter(milestone =>
+                        !milestone.startsWith('budget') || milestone === budgetMilestones[budgetMilestones.length - 1]
+                    );
+
+                    for (const [index, milestone] of milestonesToPost.entries()) {
+                        try {
+                            await channel.send({
+                                content: server.ping_role_id ? `<@&${server.ping_role_id}>` : undefined,
+                                embeds: [buildMilestoneEmbed(campaign, milestone)],
+                                allowedMentions: { roles: server.ping_role_id ? [server.ping_role_id] : [] }
+                            });
+                            posted++;
+                        } catch (error) {
+                            // Free this claim and the ones not posted yet so the next run tries them again
+                            for (const unposted of milestonesToPost.slice(index)) {
+                                await releaseAnnouncement(server.server_id, campaign.id, unposted);
+                            }
+                            throw error;
+                        }
                     }
+                }
+
+                results.push({
+                    serverId: server.server_id,
+                    status: 'success',
+                    posted
+                });
+            } catch (error) {
+                console.error(`Error posting announcements for server ${server.server_id}:`, error);
+                results.push({
+                    serverId: server.server_id,
+                    status: 'failed',
+                    error: error.message
+                });
+            }
+        }
+
+        return {
+            success: true,
+            results
+        };
+    } catch (error) {
+        console.error('Error announcing campaign milestones:', error);
+        throw error;
+    }
+}
+
+const RANK_MEDALS = ['🥇', '🥈', '🥉'];
 
-                    await channel.send({ 
-                        embeds: [embed],
-                        flags: 4096 // This is the suppressNotifications flag
-                    });
+export function buildLeaderboardEmbed(leaderboard) {
+    const embed = new EmbedBuilder()
+        .setTitle(`🏆 ${leaderboard.campaignName} Leaderboard`)
+        .setColor(0xffd700)
+        .setFooter({ text: `Ranked by ${leaderboard.sortBy} • ${leaderboard.totalCreators} creator${leaderboard.totalCreators === 1 ? '' : 's'}` })
+        .setTimestamp(leaderboard.generatedAt);
+
+    if (leaderboard.entries.length === 0) {
+        return embed.setDescription('No submissions yet. Be the first with /submit!');
+    }
+
+    const lines = leaderboard.entries.map(entry => {
+        const rank = RANK_MEDALS[entry.rank - 1] || `**${entry.rank}.**`;
+        const name = entry.handle ? `@${entry.handle}` : 'Unknown creator';
+        return `${rank} ${name} • ${entry.views.toLocaleString()} views • ${formatMoney(entry.earnings, leaderboard.currency)}`;
+    });
+
+    return embed.setDescription(lines.join('\n'));
+}
+
+// Post or refresh one leaderboard message per active campaign in each server's campaigns channel
+export async function postCampaignLeaderboards(discordClient) {
+    try {
+        const servers = await getTargetServers();
+
+        const campaignsSnapshot = await db
+            .collection('campaigns')
+            .where('isComplete', '==', false)
+            .get();
+
+        const results = [];
+
+        for (const server of servers) {
+            const serverCampaigns = campaignsSnapshot.docs.filter(doc =>
+                doc.data().serverIds?.includes(server.server_id) && isCampaignOpen(doc.data())
+            );
+            // Servers without open campaigns still need last run's leaderboards cleaned up
+            const previousMessages = server.leaderboardMessages || {};
+            if (!server.active_campaigns_channel_id || (serverCampaigns.length === 0 && Object.keys(previousMessages).length === 0)) {
+                continue;
+            }
+
+            try {
+                const channel = await discordClient.channels.fetch(server.active_campaigns_channel_id);
+                const leaderboardMessages = {};
+
+                for (const campaignDoc of serverCampaigns) {
+                    const leaderboard = await getCampaignLeaderboard(campaignDoc.id);
+                    const message = { embeds: [buildLeaderboardEmbed(leaderboard)] };
+
+                    // Edit last run's message if it's still there, otherwise post a new one
+                    const previousMessageId = previousMessages[campaignDoc.id];
+                    const previousMessage = previousMessageId
+                        ? await fetchMessageOrNull(channel, previousMessageId)
+                        : null;
+
+                    const posted = previousMessage
+                        ? await previousMessage.edit(message)
+                        : await channel.send({ ...message, flags: 4096 }); // suppressNotifications
+
+                    leaderboardMessages[campaignDoc.id] = posted.id;
+                }
+
+                // Delete the leaderboards of campaigns that completed or were taken off this server
+                let deleted = 0;
+                for (const [campaignId, messageId] of Object.entries(previousMessages)) {
+                    if (leaderboardMessages[campaignId]) {
+                        continue;
+                    }
+                    const message = await fetchMessageOrNull(channel, messageId);
+                    if (message) {
+                        await message.delete();
+                    }
+                    deleted++;
                 }
 
+                await db.collection('servers').doc(server.id).update({ leaderboardMessages });
+
                 results.push({
                     serverId: server.server_id,
-                    status: 'success'
+                    status: 'success',
+                    leaderboards: serverCampaigns.length,
+                    deleted
                 });
             } catch (error) {
-                console.error(`Error updating campaigns for server ${server.server_id}:`, error);
+                console.error(`Error posting leaderboards for server ${server.server_id}:`, error);
                 results.push({
                     serverId: server.server_id,
                     status: 'failed',
@@ -160,7 +559,7 @@ export async function updateActiveCampaigns(discordClient) {
             results
         };
     } catch (error) {
-        console.error('Error updating active campaigns:', error);
+        console.error('Error posting campaign leaderboards:', error);
         throw error;
     }
 }
@@ -170,3 +569,9 @@ function createProgressBar(percentage) {
     const emptyBlocks = 10 - filledBlocks;
     return `[${'█'.repeat(filledBlocks)}${'░'.repeat(emptyBlocks)}]`;
 } 
+
+// Budget and budgetUsed are major units in the campaign's currency
+function formatCampaignAmount(campaign, amount) {
+    const currency = getCampaignCurrency(campaign);
+    return formatMoney(toMinorUnits(amount, currency), currency);
+}
@@ -0,0 +1,194 @@
+import { toMinorUnits, readMinorUnits, getCampaignCurrency, formatMoney } from './money.js';
+
+/**
+ * Campaigns can describe how creators are paid with a `rateCard`:
+ *   {
+ *     minViews: 10000,                           // nothing is paid until a post reaches this many views
+ *     tiers: [                                   // marginal CPM, like tax brackets
+ *       { fromViews: 0, ratePerMillion: 500 },
+ *       { fromViews: 1000000, ratePerMillion: 800 } // views past 1M earn $800/M
+ *     ],
+ *     bonuses: [{ atViews: 1000000, amount: 50 }], // one-off amounts once a post passes a view count
+ *     flatFeePerPost: 20,                        // paid for every post that isn't rejected
+ *     maxEarningsPerPost: 1000                   // cap on the total for one post
+ *   }
+ * Campaigns without a rate card use a flat card built from `ratePerMillion` and `maxCreatorEarningsPerPost`.
+ * Rate card amounts are in the campaign's currency major units; calculated earnings are integer minor units.
+ */
+
+const toNumber = (value, fallback = 0) => {
+    const number = Number(value);
+    return isNaN(number) ? fallback : number;
+};
+
+export function getCampaignRateCard(campaign) {
+    if (!campaign?.rateCard) {
+        return {
+            minViews: 0,
+            tiers: [{ fromViews: 0, ratePerMillion: toNumber(campaign?.ratePerMillion) }],
+            bonuses: [],
+            flatFeePerPost: 0,
+            maxEarningsPerPost: toNumber(campaign?.maxCreatorEarningsPerPost, null) || null
+        };
+    }
+
+    const { minViews, tiers = [], bonuses = [], flatFeePerPost, maxEarningsPerPost } = campaign.rateCard;
+
+    return {
+        minViews: Math.max(toNumber(minViews), 0),
+        tiers: tiers
+            .map(tier => ({ fromViews: Math.max(toNumber(tier.fromViews), 0), ratePerMillion: toNumber(tier.ratePerMillion) }))
+            .sort((a, b) => a.fromViews - b.fromViews),
+        bonuses: bonuses
+            .map(bonus => ({ atViews: toNumber(bonus.atViews), amount: toNumber(bonus.amount) }))
+            .sort((a, b) => a.atViews - b.atViews),
+        flatFeePerPost: toNumber(flatFeePerPost),
+        maxEarningsPerPost: toNumber(maxEarningsPerPost, null) || null
+    };
+}
+
+// Views in each tier are paid at that tier's rate
+function calculateTieredAmount(tiers, views) {
+    return tiers.reduce((total, tier, index) => {
+        const tierEnd = tiers[index + 1]?.fromViews ?? Infinity;
+        const viewsInTier = Math.max(Math.min(views, tierEnd) - tier.fromViews, 0);
+        return total + (tier.ratePerMillion / 1000000) * viewsInTier;
+    }, 0);
+}
+
+/**
+ * Earnings for one post under the campaign's rate card
+ * @param {Object} campaign - Campaign document data
+ * @param {number} views - Current views of the post
+ * @param {Object} [video] - The submission; rejected posts don't get the flat fee
+ * @returns {number} Integer minor units in the campaign's currency
+ */
+export function calculateEarnings(campaign, views, video = null) {
+    // Input validation
+    if (!campaign || typeof views !== 'number' || isNaN(views)) {
+        console.error('Invalid input to calculateEarnings:', { campaign, views });
+        return 0;
+    }
+
+    const currency = getCampaignCurrency(campaign);
+    const rateCard = getCampaignRateCard(campaign);
+
+    if (views < rateCard.minViews) {
+        return 0;
+    }
+
+    const viewEarnings = toMinorUnits(calculateTieredAmount(rateCard.tiers, views), currency);
+    const bonusEarnings = rateCard.bonuses
+        .filter(bonus => views >= bonus.atViews)
+        .reduce((total, bonus) => total + toMinorUnits(bonus.amount, currency), 0);
+    const flatFee = video?.status === 'rejected' ? 0 : toMinorUnits(rateCard.flatFeePerPost, currency);
+
+    const amount = viewEarnings + bonusEarnings + flatFee;
+
+    const maxEarnings = rateCard.maxEarningsPerPost ? toMinorUnits(rateCard.maxEarningsPerPost, currency) : null;
+    if (maxEarnings !== null && amount > maxEarnings) {
+        return maxEarnings;
+    }
+
+    return amount;
+}
+
+// Short human readable summary for Discord embeds, e.g. "$500/M views, $800/M after 1M • $20 per post"
+export function describeRateCard(campaign) {
+    const rateCard = getCampaignRateCard(campaign);
+    const currency = getCampaignCurrency(campaign);
+    const formatAmount = (amount) => formatMoney(toMinorUnits(amount, currency), currency);
+    const formatViews = (views) => views >= 1000000
+        ? `${views / 1000000}M`
+        : views >= 1000 ? `${views / 1000}K` : `${views}`;
+
+    const parts = [];
+
+    const rates = rateCard.tiers
+        .filter(tier => tier.ratePerMillion > 0)
+        .map(tier => tier.fromViews > 0
+            ? `${formatAmount(tier.ratePerMillion)}/M after ${formatViews(tier.fromViews)}`
+            : `${formatAmount(tier.ratePerMillion)}/M views`);
+    if (rates.length) {
+        parts.push(rates.join(', '));
+    }
+    if (rateCard.flatFeePerPost > 0) {
+        parts.push(`${formatAmount(rateCard.flatFeePerPost)} per post`);
+    }
+    rateCard.bonuses.forEach(bonus => parts.push(`+${formatAmount(bonus.amount)} at ${formatViews(bonus.atViews)} views`));
+    if (rateCard.minViews > 0) {
+        parts.push(`min ${formatViews(rateCard.minViews)} views`);
+    }
+    if (rateCard.maxEarningsPerPost) {
+        parts.push(`max ${formatAmount(rateCard.maxEarningsPerPost)}/post`);
+    }
+
+    return parts.length ? parts.join(' • ') : null;
+}
+
+// How earnings are cut back once a campaign's views would cost more than its budget:
+//   firstCome - earlier submissions are paid in full until the budget runs out
+//   proRata   - every video is scaled down by the same factor
+export const BUDGET_ALLOCATION_POLICIES = ['firstCome', 'proRata'];
+export const DEFAULT_BUDGET_ALLOCATION_POLICY = 'firstCome';
+
+export function getBudgetAllocationPolicy(campaign) {
+    return BUDGET_ALLOCATION_POLICIES.includes(campaign?.budgetAllocation)
+        ? campaign.budgetAllocation
+        : DEFAULT_BUDGET_ALLOCATION_POLICY;
+}
+
+/**
+ * What a campaign can pay creators in minor units: its budget, capped at the money captured through checkout
+ * funding (`fundedAmount`, see campaignFunding.js). Campaigns without a fundedAmount predate checkout funding and
+ * are only limited by their budget. Funding in another currency than the campaign's can't be spent.
+ * @returns {number|null} null when nothing limits the campaign
+ */
+export function getSpendableBudget(campaign) {
+    const currency = getCampaignCurrency(campaign);
+    const budget = Number(campaign?.budget) > 0 ? toMinorUnits(campaign.budget, currency) : null;
+    if (campaign?.fundedAmount === undefined || campaign?.fundedAmount === null) {
+        return budget;
+    }
+
+    const funded = campaign.fundedCurrency === currency
+        ? readMinorUnits(campaign.fundedAmount, campaign.fundedAmountUnit, currency)
+        : 0;
+    return budget === null ? funded : Math.min(budget, funded);
+}
+
+/**
+ * Cap a campaign's total earnings at its spendable budget (getSpendableBudget)
+ * @param {Object} campaign - Campaign document data (`budget` in major units, `fundedAmount`, `budgetAllocation`)
+ * @param {Array<{ key: string, earnings: number, submittedAt: number }>} entries - Uncapped earnings per video, in minor units
+ * @returns {Object<string, { earnings: number, earningsBeforeBudgetCap: number, earningsLostToBudgetCap: number }>} Minor units
+ */
+export function allocateBudget(campaign, entries) {
+    const budget = getSpendableBudget(campaign);
+    const requested = entries.map(entry => ({ ...entry, earnings: Math.max(entry.earnings || 0, 0) }));
+    const totalRequested = requested.reduce((total, entry) => total + entry.earnings, 0);
+
+    const allocated = {};
+
+    if (budget === null || totalRequested <= budget) {
+        requested.forEach(entry => { allocated[entry.key] = entry.earnings; });
+    } else if (getBudgetAllocationPolicy(campaign) === 'proRata') {
+        // Rounding down keeps the total at or just under the budget
+        const ratio = budget / totalRequested;
+        requested.forEach(entry => { allocated[entry.key] = Math.floor(entry.earnings * ratio); });
+    } else {
+        let remaining = budget;
+        [...requested]
+            .sort((a, b) => (a.submittedAt || 0) - (b.submittedAt || 0))
+            .forEach(entry => {
+                allocated[entry.key] = Math.min(entry.earnings, remaining);
+                remaining -= allocated[entry.key];
+            });
+    }
+
+    return Object.fromEntries(requested.map(entry => [entry.key, {
+        earnings: allocated[entry.key],
+        earningsBeforeBudgetCap: entry.earnings,
+        earningsLostToBudgetCap: entry.earnings - allocated[entry.key]
+    }]));
+}
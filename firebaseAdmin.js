@@ -1,6 +1,6 @@
 import 'dotenv/config';
 import { initializeApp, cert, getApps } from 'firebase-admin/app';
-import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getFirestore, FieldValue, FieldPath, Timestamp } from 'firebase-admin/firestore';
 import { getAuth } from 'firebase-admin/auth';
 
 const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
@@ -11,4 +11,4 @@ if (!getApps().length) {
 
 const db = getFirestore();
 const auth = getAuth();
-export { db, FieldValue, auth };
+export { db, FieldValue, FieldPath, Timestamp, auth };
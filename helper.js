@@ -1,5 +1,11 @@
-import { db, auth } from './firebaseAdmin.js';
-import axios from 'axios';
+import { db, auth, Timestamp } from './firebaseAdmin.js';
+import { getPlatformAdapter, getVideoPlatform, getCampaignSoundId } from './platforms/index.js';
+import { fetchVideoMetrics } from './metricsFetcher.js';
+import { recordMetricsSnapshots, calculateViewsPerHour } from './metricsHistory.js';
+import { getCampaignSubmissions, updateSubmissions } from './submissions.js';
+import { hasCampaignEnded } from './campaignSchedule.js';
+import { calculateEarnings, allocateBudget, getSpendableBudget } from './earnings.js';
+import { fromMinorUnits, readEarnings, getCampaignCurrency, MINOR_UNIT } from './money.js';
 
 // Input validation and sanitization
 function sanitizeDiscordId(discordId) {
@@ -105,91 +111,10 @@ export async function getFirebaseUserId(discordId) {
     }
 }
 
-// Add delays between API calls
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-export async function getTikTokVideoData(url) {
-  try {
-    // Check if it's a shortened URL - updated to handle /t/, vt.tiktok.com, and vm.tiktok.com formats
-    if (url.includes('/t/') || url.includes('vt.tiktok.com') || url.includes('vm.tiktok.com')) {
-      try {
-        // Follow the redirect to get the full URL
-        const response = await axios({
-          method: 'GET',
-          url: url,
-          maxRedirects: 5,
-          validateStatus: function (status) {
-            return status >= 200 && status < 400; // Accept redirects
-          }
-        });
-        
-        // Get the final URL after redirects
-        url = response.request.res.responseUrl;
-      } catch (error) {
-        console.error('Error resolving shortened URL:', error);
-        throw new Error('Could not resolve shortened URL. Please use the full video URL.');
-      }
-    }
-
-    // Extract video/photo ID from URL - updated to handle both videos and photos
-    const idMatch = url.match(/\/(video|photo)\/(\d+)/);
-    if (!idMatch || !idMatch[2]) {
-      throw new Error('Could not extract video/photo ID from URL: ' + url);
-    }
-    
-    const contentType = idMatch[1]; // 'video' or 'photo'
-    const contentId = idMatch[2];
-    
-    const response = await axios({
-      method: 'GET',
-      url: 'https://tiktok-api23.p.rapidapi.com/api/post/detail',
-      params: { videoId: contentId },
-      headers: {
-        'x-rapidapi-key': process.env.RAPID_API_KEY,
-        'x-rapidapi-host': 'tiktok-api23.p.rapidapi.com'
-      },
-      timeout: 10000
-    });
-
-    const data = response.data;
-    
-    // Extract the metrics we care about
-    const stats = data?.itemInfo?.itemStruct?.stats;
-    const music = data?.itemInfo?.itemStruct?.music;
-    const author = data?.itemInfo?.itemStruct?.author;
-    
-    await delay(100); // Wait 1 second between calls
-
-    return {
-      id: contentId,
-      contentType: contentType, // Add this to distinguish between videos and photos
-      title: data?.shareMeta?.title || '',
-      author: author ? {
-        nickname: author.nickname,
-        uniqueId: author.uniqueId
-      } : undefined,
-      views: stats?.playCount || 0,
-      shares: stats?.shareCount || 0,
-      comments: stats?.commentCount || 0,
-      likes: stats?.diggCount || 0,
-      description: data?.itemInfo?.itemStruct?.desc || '',
-      createdAt: data?.itemInfo?.itemStruct?.createTime 
-        ? new Date(data.itemInfo.itemStruct.createTime * 1000).toISOString() 
-        : '',
-      musicTitle: music?.title || '',
-      musicAuthor: music?.authorName || '',
-      musicId: music?.id || ''
-    };
-  } catch (error) {
-    console.error('Error fetching TikTok data:', error);
-    throw error;
-  }
-}
-
-export async function videoContainsRequiredSound(videoUrl, campaign) {
-    const videoData = await getTikTokVideoData(videoUrl);
-    const submissionSoundId = videoData.musicId;
-    const campaignSoundId = campaign.soundId;
+export function videoContainsRequiredSound(videoData, campaign) {
+    const platformId = getVideoPlatform(videoData);
+    const submissionSoundId = getPlatformAdapter(platformId).getSoundId(videoData);
+    const campaignSoundId = getCampaignSoundId(campaign, platformId);
 
     if (submissionSoundId == campaignSoundId) {
         return true;
@@ -200,13 +125,20 @@ export async function videoContainsRequiredSound(videoUrl, campaign) {
 
 // Check if a campaign meets completion criteria
 export function checkCampaignCompletionCriteria(campaign) {
-    // Check if budget has been reached
-    if (campaign.budget && campaign.budgetUsed >= campaign.budget) {
+    // Check if budget has been reached. Earnings are capped at the spendable budget (the smaller of the budget
+    // and fundedAmount), so a campaign funded below its budget is used up once it reaches its funding.
+    const spendableBudget = getSpendableBudget(campaign);
+    if (spendableBudget !== null && (campaign.budgetUsed || 0) >= fromMinorUnits(spendableBudget, getCampaignCurrency(campaign))) {
         return true;
     }
 
     // Check if max submissions has been reached
-    if (campaign.maxSubmissions && campaign.videos?.length >= campaign.maxSubmissions) {
+    if (campaign.maxSubmissions && (campaign.submissionCount || 0) >= campaign.maxSubmissions) {
+        return true;
+    }
+
+    // Check if the campaign's end date has passed
+    if (hasCampaignEnded(campaign)) {
         return true;
     }
 
@@ -245,50 +177,62 @@ export async function updateCampaignMetrics(campaignIds = null) {
                     continue;
                 }
 
-                if (!campaign.videos || !campaign.videos.length) {
+                const submissions = await getCampaignSubmissions(campaign.id);
+
+                if (!submissions.length) {
                     // If no videos, set all metrics to 0
                     await db.collection('campaigns').doc(campaign.id).update({
                         views: 0,
                         shares: 0,
                         comments: 0,
                         likes: 0,
+                        platformMetrics: {},
+                        viewsPerHour: 0,
                         budgetUsed: 0,
                         lastUpdated: Date.now()
                     });
                     results.push({
                         campaignId: campaign.id,
                         status: 'success',
-                        message: 'No videos, metrics reset to 0'
+                        message: 'No videos, metrics reset to 0',
+                        videos: { fetched: 0, retried: 0, skipped: 0, stale: 0 }
                     });
                     continue;
                 }
 
-                // Fetch metrics for each video URL in the campaign
-                const metricsPromises = campaign.videos.map(async video => {
-                    const metrics = await getTikTokVideoData(video.url);
-                    // Check if the video's music ID matches the campaign's sound ID
-                    const soundIdMatch = campaign.soundId ? metrics.musicId === campaign.soundId : false;
-                    return { ...metrics, soundIdMatch };
+                // Fetch metrics for each video with bounded concurrency; failures leave the video stale
+                const fetchedAt = Date.now();
+                const { results: fetchResults, summary: videoFetchSummary } = await fetchVideoMetrics(submissions);
+
+                // Only metric fields are written back so a status change made mid-update isn't overwritten
+                const submissionUpdates = submissions.map((submission, index) => ({
+                    submissionId: submission.submissionId,
+                    updates: getVideoMetricsUpdate(campaign, submission, fetchResults[index], fetchedAt)
+                }));
+
+                // Cap total earnings at the campaign budget; each video keeps its uncapped amount and what it lost
+                const budgetAllocation = allocateBudget(campaign, submissions
+                    .map((submission, index) => ({
+                        key: submission.submissionId,
+                        status: submission.status,
+                        // Skipped videos weren't recalculated, so reuse their last uncapped amount
+                        earnings: submissionUpdates[index].updates.earnings
+                            ?? readEarnings(submission, submission.earningsBeforeBudgetCap !== undefined ? 'earningsBeforeBudgetCap' : 'earnings'),
+                        submittedAt: submission.created_at
+                    }))
+                    .filter(entry => entry.status !== 'rejected'));
+                const currency = getCampaignCurrency(campaign);
+                submissionUpdates.forEach(({ submissionId, updates }) => {
+                    if (budgetAllocation[submissionId]) {
+                        Object.assign(updates, budgetAllocation[submissionId], {
+                            earningsCurrency: currency,
+                            earningsUnit: MINOR_UNIT
+                        });
+                    }
                 });
-                const metricsArray = await Promise.all(metricsPromises);
-
-                // Update videos with sound ID match information and metrics
-                const updatedVideos = campaign.videos.map((video, index) => ({
-                    ...video,
-                    soundIdMatch: metricsArray[index].soundIdMatch,
-                    // Add TikTok metrics to each video
-                    views: metricsArray[index].views || 0,
-                    shares: metricsArray[index].shares || 0,
-                    comments: metricsArray[index].comments || 0,
-                    likes: metricsArray[index].likes || 0,
-                    title: metricsArray[index].title || '',
-                    description: metricsArray[index].description || '',
-                    createdAt: metricsArray[index].createdAt || '',
-                    musicTitle: metricsArray[index].musicTitle || '',
-                    musicAuthor: metricsArray[index].musicAuthor || '',
-                    musicId: metricsArray[index].musicId || '',
-                    author: metricsArray[index].author || null,
-                    earnings: calculateEarnings(campaign, metricsArray[index].views || 0)
+                const updatedVideos = submissions.map((submission, index) => ({
+                    ...submission,
+                    ...submissionUpdates[index].updates
                 }));
 
                 // Calculate total metrics by summing up all video metrics
@@ -299,14 +243,37 @@ export async function updateCampaignMetrics(campaignIds = null) {
                     likes: total.likes + (video.likes || 0)
                 }), { views: 0, shares: 0, comments: 0, likes: 0 });
 
-                // Calculate budget used based on total views and campaign rate, rounded to nearest integer
-                const budgetUsed = Math.round((totalMetrics.views / 1000000) * (campaign.ratePerMillion || 0));
+                // Break the totals down per platform for campaigns that accept several
+                const platformMetrics = updatedVideos.reduce((byPlatform, video) => {
+                    const current = byPlatform[video.platform] || { videos: 0, views: 0, shares: 0, comments: 0, likes: 0 };
+                    byPlatform[video.platform] = {
+                        videos: current.videos + 1,
+                        views: current.views + (video.views || 0),
+                        shares: current.shares + (video.shares || 0),
+                        comments: current.comments + (video.comments || 0),
+                        likes: current.likes + (video.likes || 0)
+                    };
+                    return byPlatform;
+                }, {});
+
+                // Campaign velocity is the sum of its freshly fetched videos' velocity
+                const viewsPerHour = Number(updatedVideos
+                    .filter(video => !video.metricsStale)
+                    .reduce((total, video) => total + (video.viewsPerHour || 0), 0)
+                    .toFixed(2));
+
+                // Budget used is what the campaign owes creators under its rate card; rejected videos are never paid.
+                // Summed in minor units, stored in major units like the budget it's compared to
+                const payableVideos = updatedVideos.filter(video => video.status !== 'rejected');
+                const budgetUsed = fromMinorUnits(
+                    payableVideos.reduce((total, video) => total + readEarnings(video), 0),
+                    currency
+                );
 
                 // Check if campaign should be marked as complete based on new metrics
                 const completionStatus = checkCampaignCompletionCriteria({
                     ...campaign,
-                    budgetUsed,
-                    videos: updatedVideos
+                    budgetUsed
                 });
 
                 // Include additional metrics in the update
@@ -315,21 +282,38 @@ export async function updateCampaignMetrics(campaignIds = null) {
                     shares: totalMetrics.shares,
                     comments: totalMetrics.comments,
                     likes: totalMetrics.likes,
+                    platformMetrics,
+                    viewsPerHour,
                     budgetUsed,
+                    earningsLostToBudgetCap: fromMinorUnits(
+                        payableVideos.reduce((total, video) => total + readEarnings(video, 'earningsLostToBudgetCap'), 0),
+                        currency
+                    ),
                     isComplete: completionStatus,
-                    lastUpdated: Date.now(),
-                    videos: updatedVideos
+                    // Already-complete campaigns are skipped above, so this only runs when the flag flips
+                    ...(completionStatus ? { completedAt: Date.now() } : {}),
+                    lastUpdated: Date.now()
                 };
 
-                // Update campaign in Firestore
+                // Update submissions and campaign aggregates in Firestore
+                await updateSubmissions(campaign.id, submissionUpdates);
                 await db.collection('campaigns').doc(campaign.id).update(campaignUpdate);
 
+                // History is for charts only, so a failed write shouldn't fail the update
+                try {
+                    await recordMetricsSnapshots(campaign.id, updatedVideos, { ...totalMetrics, viewsPerHour }, fetchedAt);
+                } catch (error) {
+                    console.error(`Error recording metrics history for campaign ${campaign.id}:`, error);
+                }
+
                 results.push({
                     campaignId: campaign.id,
                     status: 'success',
                     metrics: totalMetrics,
+                    viewsPerHour,
                     budgetUsed,
-                    isComplete: completionStatus
+                    isComplete: completionStatus,
+                    videos: videoFetchSummary
                 });
 
             } catch (error) {
@@ -352,43 +336,128 @@ export async function updateCampaignMetrics(campaignIds = null) {
     }
 }
 
-export function calculateEarnings(campaign, views) {
-    // Input validation
-    if (!campaign || typeof views !== 'number' || isNaN(views)) {
-        console.error('Invalid input to calculateEarnings:', { campaign, views });
-        return 0;
+/**
+ * Close campaigns whose `endsAt` has passed. They get one last metrics update first so
+ * final earnings reflect views up to the end; anything that fails that is closed directly.
+ */
+export async function closeEndedCampaigns() {
+    const now = Date.now();
+    const campaigns = db.collection('campaigns');
+
+    // Firestore only compares values of the same type, and `endsAt` may be stored as milliseconds, a Timestamp
+    // or an ISO string (see toMillis), so each type needs its own query. Strings can carry any offset, so all
+    // of them are fetched and hasCampaignEnded decides.
+    const snapshots = await Promise.all([
+        campaigns.where('endsAt', '<=', now).get(),
+        campaigns.where('endsAt', '<=', Timestamp.fromMillis(now)).get(),
+        campaigns.where('endsAt', '>', '').get()
+    ]);
+
+    const endedCampaignIds = snapshots
+        .flatMap(snapshot => snapshot.docs)
+        .filter(doc => !doc.data().isComplete && hasCampaignEnded(doc.data(), now))
+        .map(doc => doc.id);
+
+    // 'in' queries take at most 10 values
+    for (let i = 0; i < endedCampaignIds.length; i += 10) {
+        await updateCampaignMetrics(endedCampaignIds.slice(i, i + 10));
     }
 
-    // Ensure ratePerMillion is a valid number
-    const rate = Number(campaign.ratePerMillion);
-    if (isNaN(rate)) {
-        console.error('Invalid rate per million:', campaign.ratePerMillion);
-        return 0;
+    const closed = [];
+    for (const campaignId of endedCampaignIds) {
+        const campaignRef = db.collection('campaigns').doc(campaignId);
+        const campaignDoc = await campaignRef.get();
+        if (!campaignDoc.data().isComplete) {
+            await campaignRef.update({
+                isComplete: true,
+                completedAt: Date.now(),
+                lastUpdated: Date.now()
+            });
+        }
+        closed.push(campaignId);
     }
 
-    // Calculate earnings: (rate per million / 1,000,000) * views
-    // Round to 2 decimal places to avoid floating point precision issues
-    const amount = Number(((rate / 1000000) * views).toFixed(2));
-    
-    if (campaign.maxCreatorEarningsPerPost && amount > campaign.maxCreatorEarningsPerPost) {
-        return campaign.maxCreatorEarningsPerPost;
+    return { closed };
+}
+
+// Fields to update for one video's fetch result; stale and skipped videos keep their last known metrics
+function getVideoMetricsUpdate(campaign, video, fetchResult, fetchedAt) {
+    const platformId = getVideoPlatform(video);
+    const platformUpdate = video.platform ? {} : { platform: platformId };
+
+    if (fetchResult.status === 'skipped') {
+        return platformUpdate;
+    }
+
+    if (fetchResult.status === 'stale') {
+        return {
+            ...platformUpdate,
+            metricsStale: true,
+            metricsStaleSince: video.metricsStaleSince || fetchedAt,
+            metricsError: fetchResult.error,
+            earnings: calculateEarnings(campaign, video.views || 0, video)
+        };
     }
 
-    return amount;
+    const metrics = fetchResult.metrics;
+    const adapter = getPlatformAdapter(platformId);
+
+    // Check if the video's sound ID matches the campaign's sound for that platform
+    const campaignSoundId = getCampaignSoundId(campaign, platformId);
+    const soundIdMatch = campaignSoundId ? adapter.getSoundId(metrics) === campaignSoundId : false;
+
+    return {
+        ...platformUpdate,
+        soundIdMatch,
+        // Add platform metrics to each video
+        views: metrics.views || 0,
+        shares: metrics.shares || 0,
+        comments: metrics.comments || 0,
+        likes: metrics.likes || 0,
+        title: metrics.title || '',
+        description: metrics.description || '',
+        createdAt: metrics.createdAt || '',
+        musicTitle: metrics.musicTitle || '',
+        musicAuthor: metrics.musicAuthor || '',
+        musicId: metrics.musicId || '',
+        author: metrics.author || null,
+        earnings: calculateEarnings(campaign, metrics.views || 0, video),
+        // Compare against the previous pass, or the numbers captured at submission time
+        viewsPerHour: calculateViewsPerHour(
+            video.views,
+            video.lastMetricsFetchAt || video.created_at,
+            metrics.views || 0,
+            fetchedAt
+        ),
+        metricsStale: false,
+        metricsStaleSince: null,
+        metricsError: null,
+        lastMetricsFetchAt: fetchedAt
+    };
 }
 
-export async function linkTikTokAccount(tiktokUsername, linkToken) {
+/**
+ * Verify a creator owns a social account by finding their link token in its bio, then add it to
+ * the platform's linked accounts field (e.g. `instagramData`), keyed the way /submit matches video authors
+ * @param {string} platformId - tiktok, instagram or youtube
+ * @param {string} username - The account's username or @handle
+ * @param {string} linkToken - Token generated on the website
+ */
+export async function linkSocialAccount(platformId, username, linkToken) {
+    let adapter;
     try {
+        adapter = getPlatformAdapter(platformId);
+
         // Validate inputs
-        if (!tiktokUsername || !linkToken) {
+        if (!username || !linkToken) {
             return {
                 success: false,
-                message: 'Both TikTok username and link token are required.'
+                message: `Both ${adapter.accountName} username and link token are required.`
             };
         }
 
-        // Sanitize TikTok username
-        const sanitizedUsername = sanitizeTikTokId(tiktokUsername);
+        // Sanitize the username for this platform
+        const sanitizedUsername = adapter.sanitizeHandle(username);
 
         // First verify the token
         const tokenQuery = await db.collection('socialMediaAccountLinkTokens')
@@ -423,27 +492,20 @@ export async function linkTikTokAccount(tiktokUsername, linkToken) {
             };
         }
 
-        // Get TikTok user info
-        const response = await fetch(`https://tiktok-api23.p.rapidapi.com/api/user/info?uniqueId=${sanitizedUsername}`, {
-            headers: {
-                'x-rapidapi-host': 'tiktok-api23.p.rapidapi.com',
-                'x-rapidapi-key': process.env.RAPID_API_KEY
-            }
-        });
-        
-        const data = await response.json();
-        
-        if (!data.userInfo?.user?.signature) {
-            throw new Error('Could not fetch TikTok bio');
+        // Get the account's profile
+        const profile = await adapter.getProfile(sanitizedUsername);
+        if (!profile) {
+            return {
+                success: false,
+                message: `Could not find the ${adapter.accountName} account ${sanitizedUsername}. Please check the username and try again.`
+            };
         }
 
-        const signature = data.userInfo.user.signature;
-        
         // Check if the bio contains the token (case insensitive)
-        if (!signature.toLowerCase().includes(linkToken.toLowerCase())) {
+        if (!profile.bio.toLowerCase().includes(linkToken.toLowerCase())) {
             return {
                 success: false,
-                message: 'Your TikTok bio does not contain your verification code. Please add your unique ID to your bio and try again.'
+                message: `Your ${adapter.accountName} bio does not contain your verification code. Please add your unique ID to your bio and try again.`
             };
         }
 
@@ -461,40 +523,39 @@ export async function linkTikTokAccount(tiktokUsername, linkToken) {
             };
         }
 
-        // Get existing user data to preserve current tiktokData accounts
+        // Get existing user data to preserve the accounts already linked on this platform
         const existingUserDoc = await db.collection('users').doc(userId).get();
         const existingUserData = existingUserDoc.exists ? existingUserDoc.data() : {};
-        const currentTiktokData = existingUserData.tiktokData || {};
+        const currentAccounts = existingUserData[adapter.linkedAccountsField] || {};
 
-        // Check if this TikTok account is already linked
-        const tiktokUniqueId = data.userInfo.user.uniqueId;
-        if (currentTiktokData[tiktokUniqueId]) {
+        // Check if this account is already linked
+        if (currentAccounts[profile.uniqueId]) {
             return {
                 success: false,
-                message: 'This TikTok account is already linked to your account.'
+                message: `This ${adapter.accountName} account is already linked to your account.`
             };
         }
 
-        // Prepare new TikTok account data
+        // Prepare new account data
         const newAccountData = {
-            uniqueId: data.userInfo.user.uniqueId,
-            profileImage: data.userInfo.user.avatarThumb,
-            title: data.shareMeta.title,
-            description: data.shareMeta.desc,
+            uniqueId: profile.uniqueId,
+            profileImage: profile.profileImage,
+            title: profile.title,
+            description: profile.description,
             verifiedAt: Date.now(),
             isVerified: true
         };
 
-        // Add new account to existing tiktokData map
-        const updatedTiktokData = {
-            ...currentTiktokData,
-            [tiktokUniqueId]: newAccountData
+        // Add new account to the existing accounts map
+        const updatedAccounts = {
+            ...currentAccounts,
+            [profile.uniqueId]: newAccountData
         };
 
-        // Update user document
+        // Update user document (tiktokVerified, instagramVerified, youtubeVerified)
         await db.collection('users').doc(userId).update({
-            tiktokVerified: true,
-            tiktokData: updatedTiktokData,
+            [`${adapter.id}Verified`]: true,
+            [adapter.linkedAccountsField]: updatedAccounts,
             updatedAt: Date.now()
         });
 
@@ -505,21 +566,26 @@ export async function linkTikTokAccount(tiktokUsername, linkToken) {
 
         return {
             success: true,
-            message: 'Success! Your TikTok account has been verified and added to your profile.',
+            message: `Success! Your ${adapter.accountName} account has been verified and added to your profile.`,
+            platform: adapter.id,
             data: newAccountData,
-            totalAccounts: Object.keys(updatedTiktokData).length
+            totalAccounts: Object.keys(updatedAccounts).length
         };
 
     } catch (error) {
-        console.error('Error linking TikTok account:', error);
+        console.error(`Error linking ${platformId} account:`, error);
         return {
             success: false,
-            message: 'Failed to verify TikTok account. Please try again later.',
+            message: `Failed to verify ${adapter?.accountName || 'social media'} account. Please try again later.`,
             error: error.message
         };
     }
 }
 
+export async function linkTikTokAccount(tiktokUsername, linkToken) {
+    return linkSocialAccount('tiktok', tiktokUsername, linkToken);
+}
+
 // Helper function to get user by ID
 export async function getUserById(userId) {
     try {
@@ -597,6 +663,12 @@ export function verifyUserAccess(req, res, next) {
     next();
 }
 
+// Admin or owner role check shared by the HTTP middleware and Discord commands
+export function hasAdminOrOwnerRole(userData) {
+    const userRoles = userData?.roles || [];
+    return userRoles.includes('admin') || userRoles.includes('owner');
+}
+
 // Helper function to verify user has admin or owner role
 export async function verifyAdminOrOwnerRole(req, res, next) {
     try {
@@ -607,11 +679,8 @@ export async function verifyAdminOrOwnerRole(req, res, next) {
             return res.status(404).json({ error: 'User not found' });
         }
         
-        const userData = userDoc.data();
-        const userRoles = userData.roles || [];
-        
         // Check if user has admin or owner role
-        if (!userRoles.includes('admin') && !userRoles.includes('owner')) {
+        if (!hasAdminOrOwnerRole(userDoc.data())) {
             return res.status(403).json({ 
                 error: 'Unauthorized. Admin or owner role required for this operation.' 
             });
@@ -633,395 +702,3 @@ export {
     sanitizeTikTokId,
     sanitizeUserId
 };
-
-/**
- * Validates if a URL is a legitimate TikTok URL with comprehensive security checks
- * @param {string} url - The URL to validate
- * @returns {boolean} - True if valid TikTok URL, false otherwise
- */
-export function isTikTokUrl(url) {
-    try {
-        // Input validation
-        if (!url || typeof url !== 'string') {
-            return false;
-        }
-
-        // Trim whitespace and check for empty string after trimming
-        const trimmedUrl = url.trim();
-        if (trimmedUrl.length === 0) {
-            return false;
-        }
-
-        // Check for maximum length to prevent DoS attacks
-        if (trimmedUrl.length > 2048) {
-            return false;
-        }
-
-        // Parse the URL to validate structure
-        let parsedUrl;
-        try {
-            parsedUrl = new URL(trimmedUrl);
-        } catch (error) {
-            return false;
-        }
-
-        // Security: Only allow HTTPS and HTTP protocols
-        if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-            return false;
-        }
-
-        // Security: Prevent protocol confusion attacks (e.g., javascript: URLs)
-        if (parsedUrl.protocol === 'http:' && !trimmedUrl.startsWith('http://')) {
-            return false;
-        }
-        if (parsedUrl.protocol === 'https:' && !trimmedUrl.startsWith('https://')) {
-            return false;
-        }
-
-        // Security: Check for null bytes or other dangerous characters
-        if (trimmedUrl.includes('\0') || trimmedUrl.includes('\u0000')) {
-            return false;
-        }
-
-        // Security: Prevent CRLF injection attempts
-        if (trimmedUrl.includes('\r') || trimmedUrl.includes('\n') || trimmedUrl.includes('\r\n')) {
-            return false;
-        }
-
-        // Security: Check for potential SSRF attempts (internal IPs, localhost, etc.)
-        const hostname = parsedUrl.hostname.toLowerCase();
-        const dangerousHosts = [
-            'localhost', '127.0.0.1', '0.0.0.0', '::1', '::ffff:127.0.0.1',
-            '10.', '172.16.', '172.17.', '172.18.', '172.19.', '172.20.', 
-            '172.21.', '172.22.', '172.23.', '172.24.', '172.25.', '172.26.', 
-            '172.27.', '172.28.', '172.29.', '172.30.', '172.31.', '192.168.'
-        ];
-        
-        for (const dangerousHost of dangerousHosts) {
-            if (hostname === dangerousHost || hostname.startsWith(dangerousHost)) {
-                return false;
-            }
-        }
-
-        // Security: Check for potential SSRF via IP addresses
-        const ipRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-        if (ipRegex.test(hostname)) {
-            return false;
-        }
-
-        // Define legitimate TikTok domains and their variations
-        const validTikTokDomains = [
-            'tiktok.com',
-            'www.tiktok.com',
-            'm.tiktok.com',
-            'vm.tiktok.com',
-            'vt.tiktok.com',
-            'us.tiktok.com',
-            'uk.tiktok.com',
-            'ca.tiktok.com',
-            'au.tiktok.com',
-            'de.tiktok.com',
-            'fr.tiktok.com',
-            'es.tiktok.com',
-            'it.tiktok.com',
-            'pt.tiktok.com',
-            'nl.tiktok.com',
-            'pl.tiktok.com',
-            'ru.tiktok.com',
-            'tr.tiktok.com',
-            'ar.tiktok.com',
-            'br.tiktok.com',
-            'mx.tiktok.com',
-            'co.tiktok.com',
-            'pe.tiktok.com',
-            'cl.tiktok.com',
-            've.tiktok.com',
-            'ec.tiktok.com',
-            'bo.tiktok.com',
-            'py.tiktok.com',
-            'uy.tiktok.com',
-            'ar.tiktok.com',
-            'ch.tiktok.com',
-            'at.tiktok.com',
-            'be.tiktok.com',
-            'dk.tiktok.com',
-            'fi.tiktok.com',
-            'gr.tiktok.com',
-            'hu.tiktok.com',
-            'ie.tiktok.com',
-            'il.tiktok.com',
-            'jp.tiktok.com',
-            'kr.tiktok.com',
-            'my.tiktok.com',
-            'no.tiktok.com',
-            'nz.tiktok.com',
-            'ph.tiktok.com',
-            'sg.tiktok.com',
-            'se.tiktok.com',
-            'th.tiktok.com',
-            'vn.tiktok.com',
-            'id.tiktok.com',
-            'in.tiktok.com',
-            'pk.tiktok.com',
-            'bd.tiktok.com',
-            'lk.tiktok.com',
-            'np.tiktok.com',
-            'mm.tiktok.com',
-            'kh.tiktok.com',
-            'la.tiktok.com',
-            'mn.tiktok.com',
-            'kz.tiktok.com',
-            'uz.tiktok.com',
-            'kg.tiktok.com',
-            'tj.tiktok.com',
-            'tm.tiktok.com',
-            'af.tiktok.com',
-            'ir.tiktok.com',
-            'iq.tiktok.com',
-            'sa.tiktok.com',
-            'ae.tiktok.com',
-            'qa.tiktok.com',
-            'kw.tiktok.com',
-            'bh.tiktok.com',
-            'om.tiktok.com',
-            'jo.tiktok.com',
-            'lb.tiktok.com',
-            'sy.tiktok.com',
-            'ps.tiktok.com',
-            'eg.tiktok.com',
-            'ly.tiktok.com',
-            'tn.tiktok.com',
-            'dz.tiktok.com',
-            'ma.tiktok.com',
-            'mr.tiktok.com',
-            'ml.tiktok.com',
-            'ne.tiktok.com',
-            'td.tiktok.com',
-            'sd.tiktok.com',
-            'et.tiktok.com',
-            'so.tiktok.com',
-            'dj.tiktok.com',
-            'ke.tiktok.com',
-            'tz.tiktok.com',
-            'ug.tiktok.com',
-            'rw.tiktok.com',
-            'bi.tiktok.com',
-            'mw.tiktok.com',
-            'zm.tiktok.com',
-            'zw.tiktok.com',
-            'na.tiktok.com',
-            'bw.tiktok.com',
-            'ls.tiktok.com',
-            'sz.tiktok.com',
-            'mg.tiktok.com',
-            'mu.tiktok.com',
-            'sc.tiktok.com',
-            'km.tiktok.com',
-            'yt.tiktok.com',
-            're.tiktok.com',
-            'mz.tiktok.com',
-            'ao.tiktok.com',
-            'gw.tiktok.com',
-            'cv.tiktok.com',
-            'gm.tiktok.com',
-            'gn.tiktok.com',
-            'sl.tiktok.com',
-            'lr.tiktok.com',
-            'ci.tiktok.com',
-            'gh.tiktok.com',
-            'tg.tiktok.com',
-            'bj.tiktok.com',
-            'ng.tiktok.com',
-            'cm.tiktok.com',
-            'gq.tiktok.com',
-            'ga.tiktok.com',
-            'cg.tiktok.com',
-            'cd.tiktok.com',
-            'cf.tiktok.com',
-            'st.tiktok.com',
-            'gq.tiktok.com',
-            'ao.tiktok.com',
-            'zm.tiktok.com',
-            'zw.tiktok.com',
-            'na.tiktok.com',
-            'bw.tiktok.com',
-            'ls.tiktok.com',
-            'sz.tiktok.com',
-            'mg.tiktok.com',
-            'mu.tiktok.com',
-            'sc.tiktok.com',
-            'km.tiktok.com',
-            'yt.tiktok.com',
-            're.tiktok.com',
-            'mz.tiktok.com',
-            'ao.tiktok.com',
-            'gw.tiktok.com',
-            'cv.tiktok.com',
-            'gm.tiktok.com',
-            'gn.tiktok.com',
-            'sl.tiktok.com',
-            'lr.tiktok.com',
-            'ci.tiktok.com',
-            'gh.tiktok.com',
-            'tg.tiktok.com',
-            'bj.tiktok.com',
-            'ng.tiktok.com',
-            'cm.tiktok.com',
-            'gq.tiktok.com',
-            'ga.tiktok.com',
-            'cg.tiktok.com',
-            'cd.tiktok.com',
-            'cf.tiktok.com',
-            'st.tiktok.com'
-        ];
-
-        // Check if hostname matches any valid TikTok domain
-        const isTikTokDomain = validTikTokDomains.some(domain => {
-            return hostname === domain || hostname.endsWith('.' + domain);
-        });
-
-        if (!isTikTokDomain) {
-            return false;
-        }
-
-        // Security: Validate path structure for TikTok URLs
-        const pathname = parsedUrl.pathname.toLowerCase();
-        
-        // Define valid TikTok URL patterns
-        const validTikTokPatterns = [
-            // Video URLs
-            /^\/@[a-zA-Z0-9._-]+\/video\/\d+$/,
-            /^\/t\/[a-zA-Z0-9]+$/,
-            /^\/video\/\d+$/,
-            
-            // Photo URLs
-            /^\/@[a-zA-Z0-9._-]+\/photo\/\d+$/,
-            /^\/photo\/\d+$/,
-            
-            // User profile URLs
-            /^\/@[a-zA-Z0-9._-]+$/,
-            /^\/user\/[a-zA-Z0-9._-]+$/,
-            
-            // Hashtag URLs
-            /^\/tag\/[a-zA-Z0-9._-]+$/,
-            /^\/hashtag\/[a-zA-Z0-9._-]+$/,
-            
-            // Music URLs
-            /^\/music\/[a-zA-Z0-9._-]+$/,
-            
-            // Live URLs
-            /^\/@[a-zA-Z0-9._-]+\/live$/,
-            /^\/live\/[a-zA-Z0-9._-]+$/,
-            
-            // Collection URLs
-            /^\/collection\/[a-zA-Z0-9._-]+$/,
-            
-            // Shortened TikTok URLs - various formats
-            /^\/[a-zA-Z0-9]{8,12}\/?$/,                    // vm.tiktok.com/ZNdyJyD4G/
-            /^\/[a-zA-Z0-9]{8,12}$/,                       // vm.tiktok.com/ZNdyJyD4G (no trailing slash)
-            /^\/[a-zA-Z0-9]{8,12}\?.*$/,                   // vm.tiktok.com/ZNdyJyD4G?param=value
-            /^\/[a-zA-Z0-9]{8,12}\/.*$/,                   // vm.tiktok.com/ZNdyJyD4G/extra
-            /^\/[a-zA-Z0-9]{8,12}\?.*\/.*$/,               // vm.tiktok.com/ZNdyJyD4G?param=value/extra
-            
-            // Alternative shortened formats (less common but possible)
-            /^\/[a-zA-Z0-9]{6,15}\/?$/,                    // Allow slightly longer/shorter codes
-            /^\/[a-zA-Z0-9]{6,15}\?.*$/,                   // With query params
-            /^\/[a-zA-Z0-9]{6,15}\/.*$/,                   // With extra path
-            
-            // Root path (for redirects)
-            /^\/$/
-        ];
-
-        // Check if pathname matches any valid pattern
-        const isValidPath = validTikTokPatterns.some(pattern => pattern.test(pathname));
-        
-        if (!isValidPath) {
-            return false;
-        }
-
-        // Security: Validate query parameters (only allow safe ones)
-        const safeQueryParams = [
-            'lang', 'region', 'is_copy_url', 'is_from_webapp', 'sender_device', 
-            'sender_web_id', 'share_app_name', 'share_link_id', 'share_method', 
-            'timestamp', 'tt_from', 'u_code', 'user_id', 'webcast_id', 'msToken',
-            'X-Bogus', '_signature', 'aid', 'app_name', 'channel', 'device_platform',
-            'iid', 'manifest_version_code', 'resolution', 'update_version_code',
-            '_d', '_r', '_svg', 'checksum', 'cover_exp', 'link_reflow_popup_iteration_sharer',
-            'preview_pb', 'sec_user_id', 'share_app_id', 'share_item_id', 'share_scene',
-            'sharer_language', 'social_share_type', 'source', 'ug_btm', 'ug_photo_idx',
-            'utm_campaign', 'utm_medium', 'utm_source', 'from_page', 'refer', 'referer',
-            'enter_from', 'enter_method', 'is_from_share', 'checksum_pl', 'mid'
-        ];
-
-        const queryParams = Array.from(parsedUrl.searchParams.keys());
-        const hasUnsafeParams = queryParams.some(param => !safeQueryParams.includes(param));
-        
-        if (hasUnsafeParams) {
-            return false;
-        }
-
-        // Security: Check for potential XSS in query parameters
-        const queryString = parsedUrl.search;
-        if (queryString && (
-            queryString.includes('<script') || 
-            queryString.includes('javascript:') || 
-            queryString.includes('data:text/html') ||
-            queryString.includes('vbscript:') ||
-            queryString.includes('onload=') ||
-            queryString.includes('onerror=') ||
-            queryString.includes('onclick=')
-        )) {
-            return false;
-        }
-
-        // Security: Validate fragment (hash) if present
-        if (parsedUrl.hash) {
-            const hash = parsedUrl.hash.toLowerCase();
-            if (hash.includes('<script') || 
-                hash.includes('javascript:') || 
-                hash.includes('data:text/html') ||
-                hash.includes('vbscript:') ||
-                hash.includes('onload=') ||
-                hash.includes('onerror=') ||
-                hash.includes('onclick=')) {
-                return false;
-            }
-        }
-
-        // Security: Check for URL encoding attacks
-        const decodedUrl = decodeURIComponent(trimmedUrl);
-        if (decodedUrl !== trimmedUrl && (
-            decodedUrl.includes('<script') || 
-            decodedUrl.includes('javascript:') || 
-            decodedUrl.includes('data:text/html') ||
-            decodedUrl.includes('vbscript:') ||
-            decodedUrl.includes('onload=') ||
-            decodedUrl.includes('onerror=') ||
-            decodedUrl.includes('onclick=')
-        )) {
-            return false;
-        }
-
-        // Security: Check for double encoding attacks
-        const doubleDecodedUrl = decodeURIComponent(decodeURIComponent(trimmedUrl));
-        if (doubleDecodedUrl !== trimmedUrl && (
-            doubleDecodedUrl.includes('<script') || 
-            doubleDecodedUrl.includes('javascript:') || 
-            doubleDecodedUrl.includes('data:text/html') ||
-            doubleDecodedUrl.includes('vbscript:') ||
-            doubleDecodedUrl.includes('onload=') ||
-            doubleDecodedUrl.includes('onerror=') ||
-            doubleDecodedUrl.includes('onclick=')
-        )) {
-            return false;
-        }
-
-        // If all checks pass, it's a valid TikTok URL
-        return true;
-
-    } catch (error) {
-        // If any error occurs during validation, reject the URL
-        console.error('Error validating TikTok URL:', error);
-        return false;
-    }
-} 
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import { db } from './firebaseAdmin.js';
+import { IDEMPOTENCY_KEY_TTL } from './constants.js';
+
+// Firestore's gRPC code for a create() on a document that already exists
+const ALREADY_EXISTS = 6;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Express middleware that makes a route safe to retry with an `Idempotency-Key` header.
+ * The first request with a key runs normally and its response is stored in `idempotencyKeys`;
+ * replays get the stored response back (with `Idempotent-Replayed: true`) instead of running the route again.
+ * Requests without the header are not deduplicated. 5xx responses aren't stored so the request can be retried.
+ * Must run after authenticateUser: keys are scoped to the route and the caller.
+ * @param {string} scope - Name of the route, e.g. 'payCreator'
+ */
+export function idempotent(scope) {
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (!key) {
+            return next();
+        }
+        if (key.length > 255) {
+            return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+        }
+
+        const keyRef = db.collection('idempotencyKeys').doc(hash(`${scope}:${req.user?.uid || ''}:${key}`));
+        const requestHash = hash(JSON.stringify(req.body || {}));
+
+        try {
+            await keyRef.create({
+                scope,
+                userId: req.user?.uid || null,
+                requestHash,
+                status: 'processing',
+                createdAt: Date.now(),
+                expiresAt: Date.now() + IDEMPOTENCY_KEY_TTL
+            });
+        } catch (error) {
+            if (error.code !== ALREADY_EXISTS) {
+                console.error('Error storing idempotency key:', error);
+                return res.status(500).json({ error: 'Internal server error' });
+            }
+
+            const stored = (await keyRef.get()).data();
+            if (!stored) {
+                return res.status(409).json({ error: 'A request with this Idempotency-Key was just retried, try again' });
+            }
+            if (stored.requestHash !== requestHash) {
+                return res.status(422).json({ error: 'Idempotency-Key was already used with a different request body' });
+            }
+            if (stored.status === 'processing') {
+                return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(stored.statusCode).json(stored.body);
+        }
+
+        // Store the response once the route sends it
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const saveResult = res.statusCode >= 500
+                ? keyRef.delete()
+                : keyRef.update({ status: 'completed', statusCode: res.statusCode, body, completedAt: Date.now() });
+            saveResult.catch(error => console.error('Error saving idempotent response:', error));
+            return json(body);
+        };
+
+        next();
+    };
+}
+
+export async function cleanupExpiredIdempotencyKeys() {
+    try {
+        const expiredKeys = await db.collection('idempotencyKeys')
+            .where('expiresAt', '<', Date.now())
+            .get();
+
+        await Promise.all(expiredKeys.docs.map(doc => doc.ref.delete()));
+
+        console.log(`Cleaned up ${expiredKeys.size} expired idempotency keys`);
+    } catch (error) {
+        console.error('Error cleaning up expired idempotency keys:', error);
+    }
+}
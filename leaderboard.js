@@ -0,0 +1,73 @@
+import { db } from './firebaseAdmin.js';
+import { getCampaignSubmissions } from './submissions.js';
+import { readEarnings, getCampaignCurrency } from './money.js';
+
+export const LEADERBOARD_SORT_FIELDS = ['views', 'earnings'];
+export const DEFAULT_LEADERBOARD_SIZE = 10;
+
+/**
+ * Rank a campaign's creators by the totals updateCampaignMetrics keeps on each submission
+ * @param {string} campaignId - Campaign document ID
+ * @param {Object} [options]
+ * @param {'views'|'earnings'} [options.sortBy='views'] - Primary ranking field, the other one breaks ties
+ * @param {number} [options.limit=10] - Number of entries to return
+ * @returns {Promise<Object|null>} null when the campaign doesn't exist
+ */
+export async function getCampaignLeaderboard(campaignId, { sortBy = 'views', limit = DEFAULT_LEADERBOARD_SIZE } = {}) {
+    if (!LEADERBOARD_SORT_FIELDS.includes(sortBy)) {
+        throw new Error(`Invalid leaderboard sort field: ${sortBy}`);
+    }
+
+    const campaignDoc = await db.collection('campaigns').doc(campaignId).get();
+    if (!campaignDoc.exists) {
+        return null;
+    }
+
+    const submissions = await getCampaignSubmissions(campaignId);
+    const creators = new Map();
+
+    submissions
+        .filter(submission => submission.author_id && submission.status !== 'rejected')
+        .forEach(submission => {
+            const creator = creators.get(submission.author_id) || {
+                authorId: submission.author_id,
+                handle: null,
+                views: 0,
+                earnings: 0,
+                submissions: 0,
+                latestSubmissionAt: 0
+            };
+
+            creator.views += submission.views || 0;
+            creator.earnings += readEarnings(submission);
+            creator.submissions += 1;
+
+            // Show the handle from the creator's most recent video
+            if ((submission.created_at || 0) >= creator.latestSubmissionAt) {
+                creator.latestSubmissionAt = submission.created_at || 0;
+                creator.handle = submission.author?.uniqueId || creator.handle;
+            }
+
+            creators.set(submission.author_id, creator);
+        });
+
+    const tieBreaker = sortBy === 'views' ? 'earnings' : 'views';
+    const entries = Array.from(creators.values())
+        .sort((a, b) => (b[sortBy] - a[sortBy]) || (b[tieBreaker] - a[tieBreaker]))
+        .slice(0, limit)
+        .map(({ latestSubmissionAt, ...creator }, index) => ({
+            rank: index + 1,
+            ...creator
+        }));
+
+    return {
+        campaignId,
+        campaignName: campaignDoc.data().name || campaignId,
+        sortBy,
+        // Entry earnings are minor units in this currency
+        currency: getCampaignCurrency(campaignDoc.data()),
+        totalCreators: creators.size,
+        entries,
+        generatedAt: Date.now()
+    };
+}
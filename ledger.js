@@ -0,0 +1,291 @@
+import { db, FieldValue, FieldPath } from './firebaseAdmin.js';
+import { readWallet, assertMinorUnits, formatMoney, MINOR_UNIT } from './money.js';
+
+/**
+ * Every change to a creator's wallet is a double-entry record in `ledgerEntries`:
+ *   { debitAccount, creditAccount, amount (minor units), currency, type, userId, walletDelta, balanceAfter, ... }
+ * The creator's wallet account is `wallet:{userId}`; crediting it increases what we owe them.
+ * `users.wallet` is a cached balance: it's only written in the same Firestore transaction as a ledger entry,
+ * and reconcileWalletBalances() flags users whose cached balance doesn't equal the sum of their entries.
+ */
+
+const LEDGER_COLLECTION = 'ledgerEntries';
+
+// Which side of the creator's wallet each entry type lands on
+export const LEDGER_ENTRY_TYPES = Object.freeze({
+    campaignEarnings: 'credit',
+    payoutReversal: 'credit',
+    openingBalance: 'credit',
+    payout: 'debit',
+    earningsReversal: 'debit'
+});
+
+export function walletAccount(userId) {
+    return `wallet:${userId}`;
+}
+
+export function campaignAccount(campaignId) {
+    return `campaign:${campaignId}`;
+}
+
+export function payoutAccount(paymentMethod = 'paypal') {
+    return `payouts:${paymentMethod}`;
+}
+
+export const OPENING_BALANCE_ACCOUNT = 'openingBalances';
+
+export function ledgerEntryRef(entryId) {
+    return db.collection(LEDGER_COLLECTION).doc(entryId);
+}
+
+/**
+ * Write a wallet entry and the new cached balance inside a Firestore transaction.
+ * The caller must have read the user doc in the same transaction (reads have to come before writes).
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc - The creator's user doc, read in this transaction
+ * @param {Object} entry
+ * @param {string} entry.entryId - Deterministic ID so retries can't post the same entry twice
+ * @param {string} entry.type - One of LEDGER_ENTRY_TYPES
+ * @param {number} entry.amount - Positive integer minor units
+ * @param {string} entry.currency
+ * @param {string} entry.contraAccount - The other side of the entry, e.g. campaignAccount(id)
+ * @returns {{ entryId: string, previousBalance: number, balanceAfter: number, currency: string }}
+ */
+export function applyWalletEntry(transaction, userDoc, {
+    entryId,
+    type,
+    amount,
+    currency,
+    contraAccount,
+    campaignId = null,
+    transactionId = null,
+    actorId = null,
+    description = null
+}) {
+    const direction = LEDGER_ENTRY_TYPES[type];
+    if (!direction || type === 'openingBalance') {
+        throw new Error(`Invalid ledger entry type: ${type}`);
+    }
+    if (assertMinorUnits(amount) <= 0) {
+        throw new Error('Ledger entry amount must be positive');
+    }
+    if (!userDoc.exists) {
+        throw new Error('User not found');
+    }
+
+    const userId = userDoc.id;
+    const wallet = readWallet(userDoc.data());
+
+    // A wallet only holds one currency; an empty wallet can switch
+    if (wallet.amount !== 0 && wallet.currency !== currency) {
+        throw new Error(`Wallet holds ${wallet.currency} but the entry is in ${currency}`);
+    }
+
+    const walletDelta = direction === 'credit' ? amount : -amount;
+    const balanceAfter = wallet.amount + walletDelta;
+    if (balanceAfter < 0) {
+        throw new Error(`Insufficient wallet balance: ${formatMoney(wallet.amount, wallet.currency)} available`);
+    }
+
+    transaction.create(ledgerEntryRef(entryId), {
+        type,
+        userId,
+        debitAccount: direction === 'debit' ? walletAccount(userId) : contraAccount,
+        creditAccount: direction === 'credit' ? walletAccount(userId) : contraAccount,
+        amount,
+        amountUnit: MINOR_UNIT,
+        currency,
+        walletDelta,
+        balanceAfter,
+        campaignId,
+        transactionId,
+        actorId,
+        description,
+        createdAt: FieldValue.serverTimestamp()
+    });
+
+    transaction.update(userDoc.ref, {
+        wallet: balanceAfter,
+        walletCurrency: currency,
+        walletUnit: MINOR_UNIT,
+        walletUpdatedAt: FieldValue.serverTimestamp()
+    });
+
+    return { entryId, previousBalance: wallet.amount, balanceAfter, currency };
+}
+
+/**
+ * Post a single wallet entry in its own transaction
+ * @returns {Promise<Object>} applyWalletEntry's result, with `alreadyPosted: true` if the entry ID was used before
+ */
+export async function postWalletEntry(userId, entry) {
+    return db.runTransaction(async (transaction) => {
+        const entryRef = ledgerEntryRef(entry.entryId);
+        const [existingEntry, userDoc] = await Promise.all([
+            transaction.get(entryRef),
+            transaction.get(db.collection('users').doc(userId))
+        ]);
+
+        if (existingEntry.exists) {
+            const { balanceAfter, currency, walletDelta } = existingEntry.data();
+            return { entryId: entry.entryId, previousBalance: balanceAfter - walletDelta, balanceAfter, currency, alreadyPosted: true };
+        }
+
+        return { ...applyWalletEntry(transaction, userDoc, entry), alreadyPosted: false };
+    });
+}
+
+/**
+ * Record a wallet balance that predates the ledger as an opening entry, without changing the wallet.
+ * Only users without any ledger entries are seeded.
+ * @returns {Promise<number|null>} The seeded amount in minor units, or null if nothing was written
+ */
+export async function seedOpeningBalance(userId) {
+    return db.runTransaction(async (transaction) => {
+        const userRef = db.collection('users').doc(userId);
+        const [userDoc, existingEntries] = await Promise.all([
+            transaction.get(userRef),
+            transaction.get(db.collection(LEDGER_COLLECTION).where('userId', '==', userId).limit(1))
+        ]);
+
+        if (!userDoc.exists || !existingEntries.empty) {
+            return null;
+        }
+
+        const wallet = readWallet(userDoc.data());
+        if (wallet.amount <= 0) {
+            return null;
+        }
+
+        transaction.create(ledgerEntryRef(`openingBalance_${userId}`), {
+            type: 'openingBalance',
+            userId,
+            debitAccount: OPENING_BALANCE_ACCOUNT,
+            creditAccount: walletAccount(userId),
+            amount: wallet.amount,
+            amountUnit: MINOR_UNIT,
+            currency: wallet.currency,
+            walletDelta: wallet.amount,
+            balanceAfter: wallet.amount,
+            campaignId: null,
+            transactionId: null,
+            actorId: null,
+            description: 'Wallet balance before the ledger was introduced',
+            createdAt: FieldValue.serverTimestamp()
+        });
+
+        // Store the balance in minor units so it matches the entry exactly
+        transaction.update(userRef, {
+            wallet: wallet.amount,
+            walletCurrency: wallet.currency,
+            walletUnit: MINOR_UNIT
+        });
+
+        return wallet.amount;
+    });
+}
+
+// Sum of a user's ledger entries per currency, in minor units
+export async function getLedgerBalances(userId) {
+    const snapshot = await db.collection(LEDGER_COLLECTION).where('userId', '==', userId).get();
+    return sumEntriesByCurrency(snapshot.docs.map(doc => doc.data()));
+}
+
+function sumEntriesByCurrency(entries) {
+    return entries.reduce((balances, entry) => {
+        balances[entry.currency] = (balances[entry.currency] || 0) + entry.walletDelta;
+        return balances;
+    }, {});
+}
+
+// Users reconciled per page, so memory stays bounded however many users and entries there are
+const RECONCILE_PAGE_SIZE = 100;
+
+/**
+ * Compare every user's cached wallet with their ledger and flag mismatches on the user doc
+ * (`walletReconciliation.status` = 'mismatch'); previously flagged users that match again are cleared.
+ * Users are read a page at a time, along with just that page's ledger entries.
+ * @returns {Promise<{ checked: number, mismatches: Array<Object> }>}
+ */
+export async function reconcileWalletBalances() {
+    const mismatches = [];
+    let checked = 0;
+    let lastDoc = null;
+
+    while (true) {
+        let query = db.collection('users').orderBy(FieldPath.documentId()).limit(RECONCILE_PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+        const usersSnapshot = await query.get();
+        if (usersSnapshot.empty) {
+            break;
+        }
+
+        mismatches.push(...await reconcileUserPage(usersSnapshot.docs));
+        checked += usersSnapshot.size;
+        lastDoc = usersSnapshot.docs[usersSnapshot.docs.length - 1];
+
+        if (usersSnapshot.size < RECONCILE_PAGE_SIZE) {
+            break;
+        }
+    }
+
+    if (mismatches.length) {
+        console.error(`Wallet reconciliation found ${mismatches.length} mismatch(es):`, mismatches.map(mismatch => mismatch.userId).join(', '));
+    }
+
+    return { checked, mismatches };
+}
+
+async function reconcileUserPage(userDocs) {
+    // 'in' queries take at most 10 values
+    const entriesByUser = new Map();
+    for (let i = 0; i < userDocs.length; i += 10) {
+        const userIds = userDocs.slice(i, i + 10).map(doc => doc.id);
+        const entriesSnapshot = await db.collection(LEDGER_COLLECTION).where('userId', 'in', userIds).get();
+        entriesSnapshot.docs.forEach(doc => {
+            const entry = doc.data();
+            entriesByUser.set(entry.userId, [...(entriesByUser.get(entry.userId) || []), entry]);
+        });
+    }
+
+    const mismatches = [];
+    const batch = db.batch();
+    let writes = 0;
+
+    userDocs.forEach(doc => {
+        const userData = doc.data();
+        const wallet = readWallet(userData);
+        const balances = sumEntriesByCurrency(entriesByUser.get(doc.id) || []);
+        const ledgerBalance = balances[wallet.currency] || 0;
+        const otherCurrencies = Object.entries(balances)
+            .filter(([currency, balance]) => currency !== wallet.currency && balance !== 0);
+
+        const isMismatch = ledgerBalance !== wallet.amount || otherCurrencies.length > 0;
+        const wasFlagged = userData.walletReconciliation?.status === 'mismatch';
+
+        if (isMismatch) {
+            const mismatch = {
+                userId: doc.id,
+                currency: wallet.currency,
+                storedBalance: wallet.amount,
+                ledgerBalance,
+                otherLedgerBalances: Object.fromEntries(otherCurrencies)
+            };
+            mismatches.push(mismatch);
+            batch.update(doc.ref, { walletReconciliation: { status: 'mismatch', ...mismatch, checkedAt: Date.now() } });
+            writes++;
+        } else if (wasFlagged) {
+            batch.update(doc.ref, { walletReconciliation: { status: 'ok', checkedAt: Date.now() } });
+            writes++;
+        }
+    });
+
+    // A page is well under Firestore's 500 writes per batch
+    if (writes > 0) {
+        await batch.commit();
+    }
+
+    return mismatches;
+}
@@ -0,0 +1,131 @@
+import { getPlatformAdapter, getVideoPlatform } from './platforms/index.js';
+
+export const METRICS_FETCH_CONCURRENCY = 5;
+export const METRICS_FETCH_MAX_RETRIES = 3;
+export const METRICS_FETCH_BASE_DELAY = 1000 * 0.5; // 500ms, doubled on every retry
+const METRICS_FETCH_MAX_DELAY = 1000 * 30; // 30 seconds
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND'];
+
+// Rate limits, upstream outages and dropped connections are worth retrying; bad URLs and deleted posts are not
+function isRetryableError(error) {
+    const status = error?.response?.status;
+    if (status) {
+        return status === 429 || status >= 500;
+    }
+    return RETRYABLE_NETWORK_CODES.includes(error?.code);
+}
+
+function getRetryDelay(error, attempt, baseDelayMs) {
+    // Honour Retry-After (seconds) when the API sends it
+    const retryAfter = Number(error?.response?.headers?.['retry-after']);
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, METRICS_FETCH_MAX_DELAY);
+    }
+
+    const backoff = baseDelayMs * (2 ** attempt);
+    const jitter = Math.random() * baseDelayMs;
+    return Math.min(backoff + jitter, METRICS_FETCH_MAX_DELAY);
+}
+
+async function fetchWithRetry(fetchOne, { maxRetries, baseDelayMs }) {
+    let attempt = 0;
+
+    while (true) {
+        try {
+            const metrics = await fetchOne();
+            return { metrics, attempts: attempt + 1 };
+        } catch (error) {
+            if (attempt >= maxRetries || !isRetryableError(error)) {
+                error.attempts = attempt + 1;
+                throw error;
+            }
+            await delay(getRetryDelay(error, attempt, baseDelayMs));
+            attempt++;
+        }
+    }
+}
+
+// Run an async task for each item with at most `concurrency` tasks in flight
+async function runWithConcurrency(items, concurrency, task) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await task(items[index], index);
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+}
+
+function shouldSkipVideo(video) {
+    if (!video?.url) {
+        return 'Missing video URL';
+    }
+    // Rejected submissions never earn, so don't spend API quota on them
+    if (video.status === 'rejected') {
+        return 'Submission rejected';
+    }
+    try {
+        getPlatformAdapter(getVideoPlatform(video));
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+}
+
+/**
+ * Fetch platform metrics for a list of videos with a concurrency cap and
+ * exponential backoff on 429/5xx. A video that still fails is reported as
+ * stale instead of failing the rest of the batch.
+ * @param {Array} videos - Campaign video entries
+ * @param {Object} [options]
+ * @returns {Promise<{ results: Array, summary: { fetched: number, retried: number, skipped: number, stale: number } }>}
+ *   results[i] matches videos[i] and has a `status` of 'fetched', 'skipped' or 'stale'
+ */
+export async function fetchVideoMetrics(videos, {
+    concurrency = METRICS_FETCH_CONCURRENCY,
+    maxRetries = METRICS_FETCH_MAX_RETRIES,
+    baseDelayMs = METRICS_FETCH_BASE_DELAY
+} = {}) {
+    const summary = { fetched: 0, retried: 0, skipped: 0, stale: 0 };
+
+    const results = await runWithConcurrency(videos, concurrency, async (video) => {
+        const skipReason = shouldSkipVideo(video);
+        if (skipReason) {
+            summary.skipped++;
+            return { status: 'skipped', reason: skipReason };
+        }
+
+        const platformId = getVideoPlatform(video);
+        const adapter = getPlatformAdapter(platformId);
+
+        try {
+            const { metrics, attempts } = await fetchWithRetry(
+                () => adapter.getPostMetrics(video.url),
+                { maxRetries, baseDelayMs }
+            );
+            summary.fetched++;
+            if (attempts > 1) {
+                summary.retried++;
+            }
+            return { status: 'fetched', metrics: { ...metrics, platform: platformId }, attempts };
+        } catch (error) {
+            console.error(`Giving up on metrics for ${platformId} video ${video.id || video.url} after ${error.attempts || 1} attempt(s):`, error.message);
+            summary.stale++;
+            if (error.attempts > 1) {
+                summary.retried++;
+            }
+            return { status: 'stale', error: error.message, errorCode: error.code || null, attempts: error.attempts || 1 };
+        }
+    });
+
+    return { results, summary };
+}
@@ -0,0 +1,118 @@
+import { db } from './firebaseAdmin.js';
+import { getVideoKey, getVideoPlatform } from './platforms/index.js';
+
+const HOUR = 1000 * 60 * 60;
+
+// Firestore batches are limited to 500 writes
+const MAX_BATCH_WRITES = 500;
+
+function historyCollection(campaignId) {
+    return db.collection('campaigns').doc(campaignId).collection('metricsHistory');
+}
+
+// Views gained per hour between two readings, or null if there is no earlier reading to compare against
+export function calculateViewsPerHour(previousViews, previousAt, currentViews, currentAt) {
+    if (!previousAt || !currentAt || currentAt <= previousAt) {
+        return null;
+    }
+    if (typeof previousViews !== 'number' || typeof currentViews !== 'number') {
+        return null;
+    }
+
+    const hours = (currentAt - previousAt) / HOUR;
+    return Number(((currentViews - previousViews) / hours).toFixed(2));
+}
+
+/**
+ * Store one snapshot per freshly fetched video plus a campaign-level snapshot
+ * @param {string} campaignId - Campaign document ID
+ * @param {Array} videos - Updated campaign videos; stale and skipped videos are left out
+ * @param {Object} totals - Campaign totals ({ views, likes, shares, comments, viewsPerHour })
+ * @param {number} capturedAt - Timestamp of the metrics pass
+ */
+export async function recordMetricsSnapshots(campaignId, videos, totals, capturedAt) {
+    const collection = historyCollection(campaignId);
+
+    const snapshots = videos
+        .filter(video => video.lastMetricsFetchAt === capturedAt)
+        .map(video => ({
+            scope: 'video',
+            videoKey: getVideoKey(video),
+            platform: getVideoPlatform(video),
+            videoId: video.id,
+            authorId: video.author_id || null,
+            views: video.views || 0,
+            likes: video.likes || 0,
+            shares: video.shares || 0,
+            comments: video.comments || 0,
+            viewsPerHour: video.viewsPerHour ?? null,
+            capturedAt
+        }));
+
+    snapshots.push({
+        scope: 'campaign',
+        views: totals.views || 0,
+        likes: totals.likes || 0,
+        shares: totals.shares || 0,
+        comments: totals.comments || 0,
+        viewsPerHour: totals.viewsPerHour ?? null,
+        capturedAt
+    });
+
+    for (let i = 0; i < snapshots.length; i += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        snapshots.slice(i, i + MAX_BATCH_WRITES).forEach(snapshot => {
+            batch.set(collection.doc(), snapshot);
+        });
+        await batch.commit();
+    }
+
+    return snapshots.length;
+}
+
+/**
+ * Time series for dashboard charts
+ * @param {string} campaignId - Campaign document ID
+ * @param {Object} [options]
+ * @param {number} [options.since] - Only snapshots captured at or after this timestamp
+ * @param {number} [options.until] - Only snapshots captured at or before this timestamp
+ * @param {string} [options.videoKey] - Only return the series for one video
+ * @returns {Promise<{ campaign: Array, videos: Object<string, Array> }>}
+ */
+export async function getCampaignMetricsTimeSeries(campaignId, { since = null, until = null, videoKey = null } = {}) {
+    let query = historyCollection(campaignId);
+
+    if (since) {
+        query = query.where('capturedAt', '>=', since);
+    }
+    if (until) {
+        query = query.where('capturedAt', '<=', until);
+    }
+
+    const snapshot = await query.orderBy('capturedAt', 'asc').get();
+
+    const series = { campaign: [], videos: {} };
+
+    snapshot.docs.forEach(doc => {
+        const { scope, videoKey: key, views, likes, shares, comments, viewsPerHour, capturedAt } = doc.data();
+        const point = { capturedAt, views, likes, shares, comments, viewsPerHour };
+
+        if (scope === 'campaign') {
+            if (!videoKey) {
+                series.campaign.push(point);
+            }
+            return;
+        }
+
+        if (videoKey && key !== videoKey) {
+            return;
+        }
+
+        if (!series.videos[key]) {
+            series.videos[key] = [];
+        }
+        series.videos[key].push(point);
+    });
+
+    return series;
+}
@@ -0,0 +1,301 @@
+import fs from 'fs';
+
+const DEFAULT_FIXTURE_PATH = new URL('../fixtures/metrics.json', import.meta.url);
+
+let fixtures = null;
+const fetchCounts = new Map();
+const failureCounts = new Map();
+
+/**
+ * Fixture file format (see fixtures/metrics.json):
+ * {
+ *   "<platform>": {
+ *     "posts": {
+ *       "<videoId>": {
+ *         "author": { "handle", "name" },
+ *         "description", "createdAt",
+ *         "sound": { "id", "title", "author" },
+ *         "views": 1000 | [1000, 2500, 8000],  // arrays advance one step per fetch
+ *         "likes", "shares", "comments",         // same as views
+ *         "deleted": false,
+ *         "deletedAfter": 3,                     // post disappears after this many fetches
+ *         "failures": [429, 503]                 // HTTP errors thrown by the first fetches
+ *       }
+ *     },
+ *     "users": { "<handle>": { "name", "bio", "avatar" } }  // bio is checked for the /link token
+ *   },
+ *   "shortLinks": { "<share url>": "<full url>" }
+ * }
+ */
+function loadFixtureFile() {
+    const fixturePath = process.env.METRICS_FIXTURE_PATH || DEFAULT_FIXTURE_PATH;
+    return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+}
+
+function getFixtures() {
+    if (!fixtures) {
+        fixtures = loadFixtureFile();
+    }
+    return fixtures;
+}
+
+function getPlatformFixtures(platformId) {
+    const data = getFixtures();
+    if (!data[platformId]) {
+        data[platformId] = { posts: {}, users: {} };
+    }
+    data[platformId].posts = data[platformId].posts || {};
+    data[platformId].users = data[platformId].users || {};
+    return data[platformId];
+}
+
+// Scripted values step forward on every fetch and then hold their last value
+function valueAt(value, step) {
+    if (Array.isArray(value)) {
+        return value.length ? value[Math.min(step, value.length - 1)] : 0;
+    }
+    return value || 0;
+}
+
+// Shaped like an axios error so retry logic sees the same status codes as with the live APIs
+function httpError(status) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers: {} };
+    return error;
+}
+
+function toUnixSeconds(isoDate) {
+    return isoDate ? Math.floor(new Date(isoDate).getTime() / 1000) : undefined;
+}
+
+// Build responses shaped like the live APIs so the adapters' parsing runs unchanged
+const postPayloadBuilders = {
+    tiktok: (videoId, post, step) => {
+        if (!post) {
+            // Mirrors the empty payload returned for removed posts
+            return { statusCode: 10204, statusMsg: 'item doesn\'t exist' };
+        }
+        return {
+            statusCode: 0,
+            shareMeta: {
+                title: `${post.author?.name || post.author?.handle} on TikTok`,
+                desc: post.description || ''
+            },
+            itemInfo: {
+                itemStruct: {
+                    id: videoId,
+                    desc: post.description || '',
+                    createTime: toUnixSeconds(post.createdAt),
+                    author: {
+                        uniqueId: post.author?.handle,
+                        nickname: post.author?.name
+                    },
+                    music: post.sound ? {
+                        id: post.sound.id,
+                        title: post.sound.title,
+                        authorName: post.sound.author
+                    } : undefined,
+                    stats: {
+                        playCount: valueAt(post.views, step),
+                        diggCount: valueAt(post.likes, step),
+                        shareCount: valueAt(post.shares, step),
+                        commentCount: valueAt(post.comments, step)
+                    }
+                }
+            }
+        };
+    },
+
+    instagram: (videoId, post, step) => {
+        if (!post) {
+            return { data: null };
+        }
+        return {
+            data: {
+                code: videoId,
+                is_video: true,
+                play_count: valueAt(post.views, step),
+                like_count: valueAt(post.likes, step),
+                share_count: valueAt(post.shares, step),
+                comment_count: valueAt(post.comments, step),
+                caption: { text: post.description || '' },
+                taken_at: toUnixSeconds(post.createdAt),
+                user: {
+                    username: post.author?.handle,
+                    full_name: post.author?.name
+                },
+                clips_metadata: post.sound ? {
+                    music_info: {
+                        music_asset_info: {
+                            audio_cluster_id: post.sound.id,
+                            title: post.sound.title,
+                            display_artist: post.sound.author
+                        }
+                    }
+                } : undefined
+            }
+        };
+    },
+
+    youtube: (videoId, post, step) => {
+        if (!post) {
+            return { video: null, channel: null };
+        }
+        return {
+            video: {
+                id: videoId,
+                snippet: {
+                    title: post.title || post.description || '',
+                    description: post.description || '',
+                    publishedAt: post.createdAt,
+                    channelId: post.author?.channelId || `UC${post.author?.handle}`,
+                    channelTitle: post.author?.name
+                },
+                statistics: {
+                    viewCount: String(valueAt(post.views, step)),
+                    likeCount: String(valueAt(post.likes, step)),
+                    commentCount: String(valueAt(post.comments, step))
+                }
+            },
+            channel: {
+                snippet: { customUrl: `@${post.author?.handle}` }
+            }
+        };
+    }
+};
+
+const userInfoPayloadBuilders = {
+    tiktok: (handle, user) => {
+        if (!user) {
+            return { statusCode: 10221, userInfo: {} };
+        }
+        return {
+            userInfo: {
+                user: {
+                    uniqueId: handle,
+                    nickname: user.name,
+                    signature: user.bio || '',
+                    avatarThumb: user.avatar || ''
+                }
+            },
+            shareMeta: {
+                title: `${user.name || handle} on TikTok`,
+                desc: user.bio || ''
+            }
+        };
+    },
+
+    instagram: (handle, user) => {
+        if (!user) {
+            return { data: null };
+        }
+        return {
+            data: {
+                username: handle,
+                full_name: user.name,
+                biography: user.bio || '',
+                profile_pic_url: user.avatar || ''
+            }
+        };
+    },
+
+    youtube: (handle, user) => {
+        if (!user) {
+            return { items: [] };
+        }
+        return {
+            items: [{
+                id: user.channelId || `UC${handle}`,
+                snippet: {
+                    title: user.name,
+                    description: user.bio || '',
+                    customUrl: `@${handle}`,
+                    thumbnails: { default: { url: user.avatar || '' } }
+                }
+            }]
+        };
+    }
+};
+
+// Serves canned payloads from a local fixture file instead of calling the paid APIs
+const fixtureProvider = {
+    name: 'fixture',
+
+    async getPost(platformId, videoId) {
+        const buildPayload = postPayloadBuilders[platformId];
+        if (!buildPayload) {
+            throw new Error(`Fixture metrics provider does not support posts for platform: ${platformId}`);
+        }
+
+        const key = `${platformId}:${videoId}`;
+        const post = getPlatformFixtures(platformId).posts[videoId];
+
+        // Scripted failures don't advance the post's growth
+        const failureIndex = failureCounts.get(key) || 0;
+        if (post?.failures && failureIndex < post.failures.length) {
+            failureCounts.set(key, failureIndex + 1);
+            throw httpError(post.failures[failureIndex]);
+        }
+
+        const step = fetchCounts.get(key) || 0;
+        fetchCounts.set(key, step + 1);
+
+        const isDeleted = !post || post.deleted || (post.deletedAfter !== undefined && step >= post.deletedAfter);
+
+        return buildPayload(videoId, isDeleted ? null : post, step);
+    },
+
+    async getUserInfo(platformId, handle) {
+        const buildPayload = userInfoPayloadBuilders[platformId];
+        if (!buildPayload) {
+            throw new Error(`Fixture metrics provider does not support user info for platform: ${platformId}`);
+        }
+        return buildPayload(handle, getPlatformFixtures(platformId).users[handle]);
+    },
+
+    async resolveShortUrl(url) {
+        const fullUrl = getFixtures().shortLinks?.[url];
+        if (!fullUrl) {
+            throw new Error(`No fixture short link for: ${url}`);
+        }
+        return fullUrl;
+    },
+
+    // Scripting helpers for tests and local runs
+
+    loadFixtures(data) {
+        fixtures = data;
+        fetchCounts.clear();
+        failureCounts.clear();
+    },
+
+    reset() {
+        fixtures = null;
+        fetchCounts.clear();
+        failureCounts.clear();
+    },
+
+    setPost(platformId, videoId, post) {
+        getPlatformFixtures(platformId).posts[videoId] = post;
+        fetchCounts.delete(`${platformId}:${videoId}`);
+        failureCounts.delete(`${platformId}:${videoId}`);
+    },
+
+    deletePost(platformId, videoId) {
+        const post = getPlatformFixtures(platformId).posts[videoId];
+        if (post) {
+            post.deleted = true;
+        }
+    },
+
+    setUserBio(platformId, handle, bio) {
+        const users = getPlatformFixtures(platformId).users;
+        users[handle] = { ...users[handle], bio };
+    },
+
+    getFetchCount(platformId, videoId) {
+        return fetchCounts.get(`${platformId}:${videoId}`) || 0;
+    }
+};
+
+export default fixtureProvider;
@@ -0,0 +1,27 @@
+import liveProvider from './liveProvider.js';
+import fixtureProvider from './fixtureProvider.js';
+
+/**
+ * Metrics providers fetch raw platform payloads for the adapters in platforms/:
+ *   getPost(platformId, videoId)   - Post detail payload in the platform API's shape
+ *   getUserInfo(platformId, handle) - Profile payload (bio used for account linking)
+ *   resolveShortUrl(url)            - Final URL behind a share link
+ *
+ * Set METRICS_PROVIDER=fixture to run /submit, /link and the metrics cron
+ * against fixtures/metrics.json instead of the paid APIs.
+ */
+const METRICS_PROVIDERS = {
+    [liveProvider.name]: liveProvider,
+    [fixtureProvider.name]: fixtureProvider
+};
+
+export function getMetricsProvider() {
+    const providerName = process.env.METRICS_PROVIDER || liveProvider.name;
+    const provider = METRICS_PROVIDERS[providerName];
+    if (!provider) {
+        throw new Error(`Unknown METRICS_PROVIDER: ${providerName}`);
+    }
+    return provider;
+}
+
+export { liveProvider, fixtureProvider };
@@ -0,0 +1,104 @@
+/**
+ * Money is stored and calculated as integer minor units (cents for USD) next to a currency code,
+ * so sums never pick up floating point drift. Stored amounts carry a unit marker:
+ *   users:        wallet (minor), walletCurrency, walletUnit: 'minor'
+ *   transactions: amount (minor), currency, amountUnit: 'minor'
+ *   submissions:  earnings, earningsBeforeBudgetCap, earningsLostToBudgetCap (minor), earningsCurrency, earningsUnit: 'minor'
+ * Documents without the marker still hold decimal amounts from before the migration
+ * (scripts/migrateMoneyToMinorUnits.js) and are converted when read.
+ * Campaign settings entered on the dashboard (budget, ratePerMillion, rate card amounts) stay in major units.
+ */
+
+export const DEFAULT_CURRENCY = 'USD';
+export const MINOR_UNIT = 'minor';
+
+// Digits after the decimal point per ISO 4217 currency
+const MINOR_UNIT_DIGITS = {
+    USD: 2,
+    EUR: 2,
+    GBP: 2,
+    CAD: 2,
+    AUD: 2,
+    JPY: 0
+};
+
+export function getMinorUnitDigits(currency = DEFAULT_CURRENCY) {
+    const digits = MINOR_UNIT_DIGITS[currency];
+    if (digits === undefined) {
+        throw new Error(`Unsupported currency: ${currency}`);
+    }
+    return digits;
+}
+
+export function assertMinorUnits(minorUnits) {
+    if (!Number.isSafeInteger(minorUnits)) {
+        throw new Error(`Amount must be an integer number of minor units, got ${minorUnits}`);
+    }
+    return minorUnits;
+}
+
+// Decimal major units (12.34 or "12.34") to integer minor units (1234)
+export function toMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+    const number = Number(amount);
+    if (amount === null || amount === '' || !Number.isFinite(number)) {
+        throw new Error(`Invalid money amount: ${amount}`);
+    }
+    // Shift the decimal point in a fixed-point string instead of multiplying so 1.005 rounds to 101 rather
+    // than 100; toFixed never uses exponent notation below 1e21, unlike String(5e-7)
+    const digits = getMinorUnitDigits(currency);
+    const [whole, fraction = ''] = Math.abs(number).toFixed(digits + 2).split('.');
+    const shifted = Number(`${whole}${fraction.slice(0, digits)}.${fraction.slice(digits)}`);
+    return assertMinorUnits(Math.round(Math.sign(number) * shifted) + 0);
+}
+
+export function fromMinorUnits(minorUnits, currency = DEFAULT_CURRENCY) {
+    return assertMinorUnits(minorUnits) / (10 ** getMinorUnitDigits(currency));
+}
+
+// Exact decimal string for payment APIs, e.g. 1234 -> "12.34"
+export function toDecimalString(minorUnits, currency = DEFAULT_CURRENCY) {
+    const digits = getMinorUnitDigits(currency);
+    const sign = assertMinorUnits(minorUnits) < 0 ? '-' : '';
+    const absolute = String(Math.abs(minorUnits)).padStart(digits + 1, '0');
+    return digits === 0
+        ? `${sign}${absolute}`
+        : `${sign}${absolute.slice(0, -digits)}.${absolute.slice(-digits)}`;
+}
+
+export function formatMoney(minorUnits, currency = DEFAULT_CURRENCY) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(fromMinorUnits(minorUnits, currency));
+}
+
+export function sumMinorUnits(amounts) {
+    return amounts.reduce((total, amount) => total + assertMinorUnits(amount), 0);
+}
+
+// Amount stored in minor units if marked, otherwise a legacy decimal value
+export function readMinorUnits(value, unit, currency = DEFAULT_CURRENCY) {
+    if (value === undefined || value === null || value === '') {
+        return 0;
+    }
+    if (unit === MINOR_UNIT) {
+        return assertMinorUnits(Number(value));
+    }
+    return toMinorUnits(value, currency);
+}
+
+export function readWallet(userData) {
+    const currency = userData?.walletCurrency || DEFAULT_CURRENCY;
+    return { amount: readMinorUnits(userData?.wallet, userData?.walletUnit, currency), currency };
+}
+
+export function readTransactionAmount(transaction) {
+    const currency = transaction?.currency || DEFAULT_CURRENCY;
+    return { amount: readMinorUnits(transaction?.amount, transaction?.amountUnit, currency), currency };
+}
+
+export function readEarnings(submission, field = 'earnings') {
+    const currency = submission?.earningsCurrency || DEFAULT_CURRENCY;
+    return readMinorUnits(submission?.[field], submission?.earningsUnit, currency);
+}
+
+export function getCampaignCurrency(campaign) {
+    return campaign?.currency || DEFAULT_CURRENCY;
+}
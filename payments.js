@@ -1,59 +1,110 @@
 import { isUserAdmin, sanitizeCampaignId, getFirebaseUserId, sanitizeUserId } from './helper.js';
 import { db, FieldValue } from './firebaseAdmin.js';
-import axios from 'axios';
-
-const PAYPAL_CLIENT_ID = process.env.PAYPAL_CLIENT_ID;
-const PAYPAL_SECRET_KEY = process.env.PAYPAL_SECRET_KEY;
-const PAYPAL_API_BASE = process.env.PAYPAL_MODE === 'sandbox' ? 'https://api.sandbox.paypal.com' : 'https://api.paypal.com';
-
-// 1. Get PayPal OAuth token
-async function getPayPalAccessToken() {
-    const response = await axios({
-        url: `${PAYPAL_API_BASE}/v1/oauth2/token`,
-        method: 'post',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        auth: {
-            username: PAYPAL_CLIENT_ID,
-            password: PAYPAL_SECRET_KEY,
-        },
-        data: 'grant_type=client_credentials',
+import { getCampaignSubmissions, getCreatorSubmissions, updateSubmissions } from './submissions.js';
+import { toDecimalString, formatMoney, readWallet, readTransactionAmount, readEarnings, DEFAULT_CURRENCY, MINOR_UNIT } from './money.js';
+import { applyWalletEntry, postWalletEntry, ledgerEntryRef, campaignAccount, payoutAccount } from './ledger.js';
+import { getUserPayoutProvider, getPayoutProvider, isPayoutRejected, PAYOUT_METHODS } from './payoutProviders/index.js';
+import { getPayPalPayoutBatch } from './payoutProviders/paypalProvider.js';
+
+/**
+ * Debit a creator's whole wallet and record the "pending" payout transaction in one Firestore transaction,
+ * BEFORE sending money, so a concurrent release or payout can't change the balance in between
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc - The creator's user doc
+ * @param {Object} provider - Payout provider from payoutProviders/
+ * @param {string} recipient - provider.getRecipient(userData)
+ * @returns {Promise<{ transactionRef: FirebaseFirestore.DocumentReference, amount: number, currency: string }>} Amount in minor units
+ */
+export async function debitWalletForPayout(userDoc, provider, recipient, { actorId, actorName, source = "walletWithdrawal", payoutRunId = null }) {
+    const userData = userDoc.data();
+    const transactionRef = db.collection('transactions').doc();
+    const transactionId = transactionRef.id;
+    const reconciliationId = `PAY-${Date.now()}-${userDoc.id}`;
+
+    const { amount, currency } = await db.runTransaction(async (transaction) => {
+        const currentUserDoc = await transaction.get(userDoc.ref);
+        const wallet = readWallet(currentUserDoc.data());
+        if (wallet.amount <= 0) {
+            throw new Error('User wallet is empty or has insufficient funds');
+        }
+
+        applyWalletEntry(transaction, currentUserDoc, {
+            entryId: `payout_${transactionId}`,
+            type: 'payout',
+            amount: wallet.amount,
+            currency: wallet.currency,
+            contraAccount: payoutAccount(provider.name),
+            transactionId,
+            actorId,
+            description: `${provider.displayName} payout to ${recipient}`
+        });
+
+        transaction.set(transactionRef, {
+            targetUserId: userDoc.id,
+            targetUserName: `${userData.firstName || ''} ${userData.lastName || ''}`.trim() || userData.email || 'Unknown',
+            amount: -wallet.amount, // Negative because it's a payment out
+            amountUnit: MINOR_UNIT,
+            type: "creatorPayout",
+            source,
+            actorId: actorId,
+            actorName: actorName,
+            status: "pending", // Start as pending
+            currency: wallet.currency,
+            paymentMethod: provider.name,
+            paymentReference: null, // Will be updated after the provider accepts the payout
+            ledgerEntryId: `payout_${transactionId}`,
+            payoutRunId,
+            createdAt: FieldValue.serverTimestamp(),
+            isTestPayment: provider.isTestMode,
+            metadata: {
+                [provider.recipientField]: recipient,
+                walletAmount: wallet.amount,
+                paymentStatus: "pending",
+                // Sent to the provider as its idempotency key / batch ID
+                payoutKey: `payout_${transactionId}`,
+                reconciliationId: reconciliationId
+            }
+        });
+
+        return wallet;
     });
-    return response.data.access_token;
+
+    return { transactionRef, amount, currency };
 }
 
-// 2. Send simple PayPal transfer
-async function sendPayPalTransfer(paymentEmail, amount, userId) {
-    const accessToken = await getPayPalAccessToken();
-    
-    const body = {
-        sender_batch_header: {
-            sender_batch_id: `transfer_${Date.now()}_${userId}`,
-            email_subject: 'You have a payout!',
-            email_message: 'Your creator payout has been processed successfully.'
-        },
-        items: [{
-            recipient_type: 'EMAIL',
-            amount: {
-                value: amount,
-                currency: 'USD'
-            },
-            receiver: paymentEmail,
-            note: 'Creator payout',
-            sender_item_id: userId
-        }]
-    };
+// Record the provider's reference once it accepted the payout. PayPal payouts stay "processing" until
+// reconcilePayPalPayouts or the webhook sees the item succeed; Stripe transfers complete immediately.
+export async function recordPayoutSent(transactionRef, userRef, provider, payoutResult, amount) {
+    const paymentReference = payoutResult.reference;
+
+    await transactionRef.update({
+        status: payoutResult.status,
+        paymentReference,
+        ...Object.fromEntries(Object.entries(payoutResult.metadata || {}).map(([key, value]) => [`metadata.${key}`, value])),
+        'metadata.paymentStatus': payoutResult.status === "completed" ? "completed" : "submitted",
+        'metadata.sendState': "sent",
+        submittedAt: FieldValue.serverTimestamp(),
+        ...(payoutResult.status === "completed" ? { completedAt: FieldValue.serverTimestamp() } : {})
+    });
 
-    const response = await axios({
-        url: `${PAYPAL_API_BASE}/v1/payments/payouts`,
-        method: 'post',
-        headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${accessToken}`,
-        },
-        data: body,
+    // The wallet was already debited through the ledger
+    await userRef.update({
+        lastPayoutAt: FieldValue.serverTimestamp(),
+        lastPayoutAmount: amount,
+        lastPayoutMethod: provider.name,
+        lastPayoutReference: paymentReference,
+        ...(provider.name === 'paypal' ? { lastPayoutBatchId: paymentReference } : {})
     });
+}
 
-    return response.data;
+// Leave a payout whose send had no clear answer "pending" with the wallet still debited; settleUnknownPayouts
+// or the PayPal batch webhook settles it by its payout key (the sender_batch_id / transfer_group that was sent)
+export async function markPayoutSendUnknown(transactionRef, error, { payoutKey = `payout_${transactionRef.id}` } = {}) {
+    await transactionRef.update({
+        'metadata.sendState': "unknown",
+        'metadata.payoutKey': payoutKey,
+        'metadata.sendError': error.message,
+        lastSendAttemptAt: Date.now()
+    });
 }
 
 export async function payCreator(userId, { actorId, actorName }) {
@@ -74,83 +125,66 @@ export async function payCreator(userId, { actorId, actorName }) {
 
         const userData = userDoc.data();
         
-        // Validate user has payment email
-        if (!userData.paymentEmail) {
-            throw new Error('User does not have a payment email configured');
+        // Validate user has somewhere to send the money for their payout method
+        const provider = getUserPayoutProvider(userData);
+        const recipient = provider.getRecipient(userData);
+        if (!recipient) {
+            throw new Error(provider.missingRecipientError);
         }
 
         // Validate user has funds in wallet
-        const walletAmount = parseFloat(userData.wallet) || 0;
-        if (walletAmount <= 0) {
+        if (readWallet(userData).amount <= 0) {
             throw new Error('User wallet is empty or has insufficient funds');
         }
 
-        // PHASE 3: Create transaction record as "pending" BEFORE sending money
-        const reconciliationId = `PAY-${Date.now()}-${sanitizedUserId}`;
-        const transactionEntry = {
-            targetUserId: sanitizedUserId,
-            targetUserName: `${userData.firstName || ''} ${userData.lastName || ''}`.trim() || userData.email || 'Unknown',
-            amount: -walletAmount, // Negative because it's a payment out
-            type: "creatorPayout",
-            source: "walletWithdrawal",
-            actorId: actorId,
-            actorName: actorName,
-            status: "pending", // Start as pending
-            currency: "USD",
-            paymentMethod: "paypal",
-            paymentReference: null, // Will be updated after PayPal
-            createdAt: FieldValue.serverTimestamp(),
-            isTestPayment: PAYPAL_API_BASE.includes('sandbox'),
-            metadata: {
-                paymentEmail: userData.paymentEmail,
-                walletAmount: walletAmount,
-                paymentStatus: "pending",
-                reconciliationId: reconciliationId
-            }
-        };
-
-        const transactionRef = await db.collection('transactions').add(transactionEntry);
+        // PHASE 3: Debit the wallet and record the pending transaction
+        const { transactionRef, amount: walletAmount, currency } = await debitWalletForPayout(userDoc, provider, recipient, { actorId, actorName });
         const transactionId = transactionRef.id;
 
-        // PHASE 4: Send PayPal payout (the critical step)
-        const payoutResult = await sendPayPalTransfer(
-            userData.paymentEmail, 
-            walletAmount.toFixed(2), 
-            sanitizedUserId
-        );
+        // PHASE 4: Send the payout through the creator's provider (the critical step)
+        let payoutResult;
+        try {
+            payoutResult = await provider.sendPayout({
+                transactionId,
+                userId: sanitizedUserId,
+                recipient,
+                amount: walletAmount,
+                currency
+            });
+        } catch (error) {
+            if (!isPayoutRejected(error)) {
+                // The provider may have accepted it; crediting the wallet back now could pay the creator twice
+                await markPayoutSendUnknown(transactionRef, error);
+                console.error(`Payout ${transactionId} for ${sanitizedUserId} has an unknown outcome:`, error.message);
+                return {
+                    success: false,
+                    error: `${provider.displayName} didn't confirm the payout (${error.message}). It stays pending until its status is checked.`,
+                    transactionId,
+                    status: "pending",
+                    sendState: "unknown"
+                };
+            }
 
-        // Verify PayPal response
-        if (!payoutResult || !payoutResult.batch_header || !payoutResult.batch_header.payout_batch_id) {
-            throw new Error('Invalid PayPal response');
+            // The provider refused it, so nothing was sent: put the money back in the wallet
+            await reversePayout(transactionRef, { reason: error.message, actorId });
+            throw error;
         }
 
-        const payoutBatchId = payoutResult.batch_header.payout_batch_id;
-
-        // PHASE 5: Update transaction to "completed" now that money was sent
-        await transactionRef.update({
-            status: "completed",
-            paymentReference: payoutBatchId,
-            'metadata.payoutBatchId': payoutBatchId,
-            'metadata.paymentStatus': "completed",
-            completedAt: FieldValue.serverTimestamp()
-        });
-
-        // PHASE 6: Update user wallet to 0 (CRITICAL - only after PayPal succeeds)
-        await userDoc.ref.update({
-            wallet: 0,
-            lastPayoutAt: FieldValue.serverTimestamp(),
-            lastPayoutAmount: walletAmount,
-            lastPayoutBatchId: payoutBatchId
-        });
+        // PHASE 5: Record the provider's reference on the transaction and the user
+        await recordPayoutSent(transactionRef, userDoc.ref, provider, payoutResult, walletAmount);
 
-        console.log(`✅ Payment successfully processed for ${sanitizedUserId}: $${walletAmount} sent to ${userData.paymentEmail}`);
+        console.log(`✅ Payment successfully processed for ${sanitizedUserId}: ${formatMoney(walletAmount, currency)} sent to ${recipient} via ${provider.displayName}`);
 
         return { 
             success: true, 
             transactionId: transactionId,
-            payoutBatchId: payoutBatchId,
-            amount: walletAmount,
-            paymentEmail: userData.paymentEmail,
+            paymentMethod: provider.name,
+            paymentReference: payoutResult.reference,
+            payoutBatchId: provider.name === 'paypal' ? payoutResult.reference : null,
+            amount: walletAmount, // minor units
+            currency,
+            recipient,
+            paymentEmail: userData.paymentEmail || null,
             error: null
         };
 
@@ -165,48 +199,534 @@ export async function payCreator(userId, { actorId, actorName }) {
     }
 }
 
-export async function recordDeposit(actorId, actorName, campaignId, depositAmount, paymentMethod = "stripe", paymentReference = null) {
-    try {
-        const reconciliationId = `DEP-${Date.now()}-${actorId}`;
-        const IS_SANDBOX = PAYPAL_API_BASE === "https://api.sandbox.paypal.com";
-
-        const transactionEntry = {
-            targetUserId: actorId,
-            campaignId: campaignId,
-            amount: depositAmount,
-            type: "campaignDeposit",
-            source: "manualDeposit",
+// Credit a failed or returned payout back to the wallet, record the compensating transaction
+// and update the payout's status, all in one Firestore transaction. Safe to call more than once.
+export async function reversePayout(transactionRef, { reason, status = "failed", actorId = 'system' }) {
+    return db.runTransaction(async (transaction) => {
+        const entryRef = ledgerEntryRef(`payoutReversal_${transactionRef.id}`);
+        const [payoutDoc, existingEntry] = await Promise.all([
+            transaction.get(transactionRef),
+            transaction.get(entryRef)
+        ]);
+        if (!payoutDoc.exists || existingEntry.exists) {
+            return false;
+        }
+
+        const payout = payoutDoc.data();
+        const { amount, currency } = readTransactionAmount(payout);
+        const userDoc = await transaction.get(db.collection('users').doc(payout.targetUserId));
+
+        const reversalRef = db.collection('transactions').doc(`reversal_${transactionRef.id}`);
+        applyWalletEntry(transaction, userDoc, {
+            entryId: entryRef.id,
+            type: 'payoutReversal',
+            amount: Math.abs(amount),
+            currency,
+            contraAccount: payoutAccount(payout.paymentMethod || 'paypal'),
+            transactionId: reversalRef.id,
+            actorId,
+            description: `Payout ${transactionRef.id} ${status}: ${reason}`
+        });
+
+        transaction.set(reversalRef, {
+            targetUserId: payout.targetUserId,
+            targetUserName: payout.targetUserName,
+            amount: Math.abs(amount), // Positive, the money is back in the wallet
+            amountUnit: MINOR_UNIT,
+            type: "creatorPayoutReversal",
+            source: "payoutReversal",
             actorId: actorId,
-            actorName: actorName,
+            actorName: actorId === 'system' ? 'Payout reconciliation' : actorId,
             status: "completed",
-            currency: "USD",
-            paymentMethod: paymentMethod,
-            paymentReference: paymentReference,
+            currency,
+            paymentMethod: payout.paymentMethod || "paypal",
+            paymentReference: payout.paymentReference || null,
+            reversesTransactionId: transactionRef.id,
+            ledgerEntryId: entryRef.id,
             createdAt: FieldValue.serverTimestamp(),
-            isTestPayment: IS_SANDBOX,
+            isTestPayment: payout.isTestPayment || false,
             metadata: {
-                depositSource: "dashboard",
-                platformFee: 0,
-                netAmount: depositAmount,
-                paymentStatus: "completed",
-                reconciliationId: reconciliationId
+                reason
             }
-        };
+        });
 
-        const transactionRef = await db.collection('transactions').add(transactionEntry);
-        
-        return {
-            success: true,
-            transactionId: transactionRef.id,
-            error: null
-        };
+        transaction.update(transactionRef, {
+            status,
+            'metadata.paymentStatus': status,
+            'metadata.failureReason': reason,
+            reversalTransactionId: reversalRef.id,
+            failedAt: FieldValue.serverTimestamp()
+        });
+
+        return true;
+    });
+}
+
+// PayPal payout item transaction_status to our transaction status
+const PAYPAL_ITEM_STATUSES = {
+    SUCCESS: "completed",
+    PENDING: "processing",
+    ONHOLD: "processing",
+    NEW: "processing",
+    UNCLAIMED: "unclaimed", // PayPal returns it after 30 days if the recipient never claims it
+    FAILED: "failed",
+    BLOCKED: "failed",
+    RETURNED: "returned",
+    REFUNDED: "returned",
+    REVERSED: "returned"
+};
+// These statuses mean the money never reached the creator, so it goes back to their wallet
+const REVERSED_PAYOUT_STATUSES = ["failed", "returned"];
+const FINAL_PAYOUT_STATUSES = ["completed", ...REVERSED_PAYOUT_STATUSES];
+
+// sender_item_id is the creator's user ID; later PayPal updates also carry the item ID we stored
+function isPayoutItemFor(transactionDoc, item) {
+    const payout = transactionDoc.data();
+    return item.payout_item_id && item.payout_item_id === payout.metadata?.payoutItemId
+        || item.payout_item?.sender_item_id === payout.targetUserId
+        || item.payout_item?.sender_item_id === transactionDoc.id;
+}
+
+/**
+ * Apply a PayPal payout item's status to its transaction, crediting the wallet back if it failed or was returned.
+ * Settled transactions are left alone, so stale or out of order updates can't undo a final status.
+ * @returns {Promise<Object|null>} The status change, or null if the status didn't change
+ */
+async function applyPayoutItemStatus(transactionDoc, item) {
+    const payout = transactionDoc.data();
+    if (FINAL_PAYOUT_STATUSES.includes(payout.status)) {
+        return null;
+    }
+
+    const paypalStatus = item.transaction_status;
+    const status = PAYPAL_ITEM_STATUSES[paypalStatus] || "processing";
+    if (status === payout.status && paypalStatus === payout.metadata?.payoutItemStatus) {
+        return null;
+    }
+
+    await transactionDoc.ref.update({
+        'metadata.payoutItemId': item.payout_item_id || null,
+        'metadata.payoutItemStatus': paypalStatus,
+        'metadata.payoutItemError': item.errors?.message || null,
+        lastCheckedAt: FieldValue.serverTimestamp()
+    });
+
+    let reversed = false;
+    if (REVERSED_PAYOUT_STATUSES.includes(status)) {
+        const reason = item.errors?.message || `PayPal payout item ${paypalStatus}`;
+        reversed = await reversePayout(transactionDoc.ref, { reason, status });
+    } else if (status !== payout.status) {
+        await transactionDoc.ref.update({
+            status,
+            'metadata.paymentStatus': status,
+            ...(status === "completed" ? { completedAt: FieldValue.serverTimestamp() } : {})
+        });
+    }
+
+    if (status === payout.status) {
+        return null;
+    }
+
+    const { amount, currency } = readTransactionAmount(payout);
+    return {
+        transactionId: transactionDoc.id,
+        userId: payout.targetUserId,
+        userName: payout.targetUserName,
+        payoutBatchId: payout.paymentReference,
+        previousStatus: payout.status,
+        status,
+        paypalStatus,
+        amount: Math.abs(amount),
+        currency,
+        reversed
+    };
+}
+
+/**
+ * Poll PayPal for every recent payout that hasn't settled and update its transaction.
+ * Failed and returned payouts are credited back to the creator's wallet with a compensating transaction.
+ * @param {Object} [options]
+ * @param {number} [options.lookbackDays=45] - Covers the 30 days PayPal waits before returning unclaimed payouts
+ * @returns {Promise<{ checked: number, changes: Array<Object>, errors: Array<Object> }>}
+ */
+export async function reconcilePayPalPayouts({ lookbackDays = 45 } = {}) {
+    const cutoff = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
+
+    // Single field range query; filter the rest in memory to avoid a composite index
+    const snapshot = await db.collection('transactions')
+        .where('createdAt', '>=', cutoff)
+        .get();
+
+    const payouts = snapshot.docs.filter(doc => {
+        const data = doc.data();
+        return data.type === "creatorPayout"
+            && data.paymentMethod === "paypal"
+            && data.paymentReference
+            && !FINAL_PAYOUT_STATUSES.includes(data.status);
+    });
+
+    const changes = [];
+    const errors = [];
+
+    // Payout runs put many creators in one batch, so fetch each batch once
+    const payoutsByBatch = new Map();
+    payouts.forEach(doc => {
+        const batchId = doc.data().paymentReference;
+        payoutsByBatch.set(batchId, [...(payoutsByBatch.get(batchId) || []), doc]);
+    });
+
+    for (const [payoutBatchId, batchPayouts] of payoutsByBatch) {
+        let batch;
+        try {
+            batch = await getPayPalPayoutBatch(payoutBatchId);
+        } catch (error) {
+            console.error(`Error fetching PayPal batch ${payoutBatchId}:`, error.message);
+            batchPayouts.forEach(doc => errors.push({ transactionId: doc.id, error: error.message }));
+            continue;
+        }
+
+        const items = batch.items || [];
+        for (const doc of batchPayouts) {
+            try {
+                // Single payouts have one item whose sender_item_id is the user ID; run batches use the transaction ID
+                const item = items.find(batchItem => isPayoutItemFor(doc, batchItem)) || (items.length === 1 ? items[0] : null);
+                if (!item) {
+                    continue;
+                }
+
+                const change = await applyPayoutItemStatus(doc, item);
+                if (change) {
+                    changes.push(change);
+                }
+            } catch (error) {
+                console.error(`Error reconciling payout ${doc.id}:`, error.message);
+                errors.push({ transactionId: doc.id, error: error.message });
+            }
+        }
+    }
+
+    return { checked: payouts.length, changes, errors };
+}
+
+// Give a send that timed out a while to land before asking the provider about it
+const UNKNOWN_SEND_SETTLE_DELAY = 1000 * 60 * 15; // 15 minutes
+
+/**
+ * Ask the provider about payouts whose send had no clear answer (see markPayoutSendUnknown), grouped by payout key
+ * so a run batch is resent as a whole. Payouts the provider has are recorded as sent; payouts it never received go
+ * back to the wallet; the rest stay pending for the next run.
+ * @returns {Promise<{ checked: number, changes: Array<Object>, errors: Array<Object> }>} Same shape as reconcilePayPalPayouts
+ */
+export async function settleUnknownPayouts() {
+    const snapshot = await db.collection('transactions')
+        .where('metadata.sendState', '==', "unknown")
+        .get();
+
+    const payouts = snapshot.docs.filter(doc => {
+        const data = doc.data();
+        return data.type === "creatorPayout"
+            && data.status === "pending"
+            && Date.now() - (data.lastSendAttemptAt || 0) >= UNKNOWN_SEND_SETTLE_DELAY;
+    });
+
+    const payoutsByKey = new Map();
+    payouts.forEach(doc => {
+        const { paymentMethod, metadata } = doc.data();
+        const key = `${paymentMethod}:${metadata.payoutKey}`;
+        payoutsByKey.set(key, [...(payoutsByKey.get(key) || []), doc]);
+    });
+
+    const changes = [];
+    const errors = [];
+
+    for (const keyPayouts of payoutsByKey.values()) {
+        const { paymentMethod, metadata: { payoutKey } } = keyPayouts[0].data();
+        try {
+            const provider = getPayoutProvider(paymentMethod);
+            const items = keyPayouts.map(doc => {
+                const payout = doc.data();
+                return {
+                    transactionId: doc.id,
+                    userId: payout.targetUserId,
+                    recipient: payout.metadata[provider.recipientField],
+                    amount: Math.abs(readTransactionAmount(payout).amount),
+                    currency: payout.currency || DEFAULT_CURRENCY
+                };
+            });
+            const sentAt = Math.min(...keyPayouts.map(doc => doc.data().createdAt?.toMillis?.() ?? Date.now()));
 
+            const payoutResult = await provider.recoverPayout({ payoutKey, items, sentAt });
+
+            for (const [index, doc] of keyPayouts.entries()) {
+                const payout = doc.data();
+                const { amount } = items[index];
+                let reversed = false;
+                if (payoutResult) {
+                    await recordPayoutSent(doc.ref, db.collection('users').doc(payout.targetUserId), provider, payoutResult, amount);
+                } else {
+                    reversed = await reversePayout(doc.ref, { reason: `${provider.displayName} has no record of the payout` });
+                }
+                changes.push({
+                    transactionId: doc.id,
+                    userId: payout.targetUserId,
+                    userName: payout.targetUserName,
+                    previousStatus: payout.status,
+                    status: payoutResult ? payoutResult.status : "failed",
+                    paypalStatus: null,
+                    amount,
+                    currency: items[index].currency,
+                    reversed
+                });
+            }
+        } catch (error) {
+            console.error(`Error settling payout ${payoutKey}:`, error.message);
+            await Promise.all(keyPayouts.map(doc => doc.ref.update({ 'metadata.sendError': error.message, lastSendAttemptAt: Date.now() })));
+            keyPayouts.forEach(doc => errors.push({ transactionId: doc.id, error: error.message }));
+        }
+    }
+
+    return { checked: payouts.length, changes, errors };
+}
+
+/**
+ * Apply a verified PayPal payouts webhook event (PAYMENT.PAYOUTSBATCH.* and PAYMENT.PAYOUTS-ITEM.*).
+ * Events are recorded in `paypalWebhookEvents` by event ID, so redelivered events are acknowledged without reprocessing.
+ * @param {Object} event - Parsed webhook body
+ * @returns {Promise<{ duplicate: boolean, changes: Array<Object> }>}
+ */
+export async function handlePayPalWebhookEvent(event) {
+    if (!event?.id || !event.event_type) {
+        throw new Error('Invalid PayPal webhook event');
+    }
+
+    const eventRef = db.collection('paypalWebhookEvents').doc(event.id);
+    try {
+        await eventRef.create({
+            eventType: event.event_type,
+            resourceId: event.resource?.payout_item_id || event.resource?.batch_header?.payout_batch_id || null,
+            status: 'processing',
+            receivedAt: FieldValue.serverTimestamp()
+        });
     } catch (error) {
-        console.error('Error recording deposit:', error);
-        return {
-            success: false,
-            error: error.message
-        };
+        // ALREADY_EXISTS: PayPal redelivered an event we've already handled
+        if (error.code === 6) {
+            return { duplicate: true, changes: [] };
+        }
+        throw error;
+    }
+
+    try {
+        const changes = [];
+        const resource = event.resource || {};
+
+        if (event.event_type.startsWith('PAYMENT.PAYOUTS-ITEM.')) {
+            const transactionDoc = await findPayoutTransaction(resource);
+            const change = transactionDoc ? await applyPayoutItemStatus(transactionDoc, resource) : null;
+            if (change) {
+                changes.push(change);
+            }
+        } else if (event.event_type.startsWith('PAYMENT.PAYOUTSBATCH.')) {
+            changes.push(...await applyPayoutBatchStatus(resource.batch_header || {}));
+        }
+
+        await eventRef.update({
+            status: 'processed',
+            changes: changes.map(change => ({ transactionId: change.transactionId, status: change.status, reversed: change.reversed })),
+            processedAt: FieldValue.serverTimestamp()
+        });
+
+        return { duplicate: false, changes };
+    } catch (error) {
+        // Let PayPal's retry process the event again
+        await eventRef.delete().catch(() => {});
+        throw error;
+    }
+}
+
+async function findPayoutTransaction(item) {
+    if (item.payout_batch_id) {
+        const snapshot = await db.collection('transactions')
+            .where('paymentReference', '==', item.payout_batch_id)
+            .get();
+        // Reversals share the payout's paymentReference
+        const payouts = snapshot.docs.filter(doc => doc.data().type === "creatorPayout");
+        const match = payouts.find(doc => isPayoutItemFor(doc, item)) || (payouts.length === 1 ? payouts[0] : null);
+        if (match) {
+            return match;
+        }
+    }
+
+    if (item.payout_item_id) {
+        const snapshot = await db.collection('transactions')
+            .where('metadata.payoutItemId', '==', item.payout_item_id)
+            .get();
+        return snapshot.docs.find(doc => doc.data().type === "creatorPayout") || null;
+    }
+
+    return null;
+}
+
+// A denied batch never paid anyone, so every payout in it goes back to the wallet; other batch statuses are recorded
+async function applyPayoutBatchStatus(batchHeader) {
+    if (!batchHeader.payout_batch_id) {
+        return [];
+    }
+
+    const snapshot = await db.collection('transactions')
+        .where('paymentReference', '==', batchHeader.payout_batch_id)
+        .get();
+    const payoutDocs = snapshot.docs.filter(payoutDoc => payoutDoc.data().type === "creatorPayout");
+
+    // A batch whose send had no clear answer is only known by the sender_batch_id we sent it with
+    const senderBatchId = batchHeader.sender_batch_header?.sender_batch_id;
+    if (!payoutDocs.length && senderBatchId) {
+        const unknownSnapshot = await db.collection('transactions')
+            .where('metadata.payoutKey', '==', senderBatchId)
+            .get();
+        for (const doc of unknownSnapshot.docs) {
+            const payout = doc.data();
+            if (payout.type !== "creatorPayout" || payout.metadata?.sendState !== "unknown" || payout.status !== "pending") {
+                continue;
+            }
+            await recordPayoutSent(doc.ref, db.collection('users').doc(payout.targetUserId), getPayoutProvider('paypal'), {
+                reference: batchHeader.payout_batch_id,
+                status: "processing",
+                metadata: { payoutBatchId: batchHeader.payout_batch_id }
+            }, Math.abs(readTransactionAmount(payout).amount));
+            payoutDocs.push(await doc.ref.get());
+        }
+    }
+
+    const changes = [];
+    for (const doc of payoutDocs) {
+        await doc.ref.update({ 'metadata.batchStatus': batchHeader.batch_status || null });
+
+        if (batchHeader.batch_status === 'DENIED') {
+            const change = await applyPayoutItemStatus(doc, {
+                transaction_status: 'FAILED',
+                errors: { message: 'PayPal denied the payout batch' }
+            });
+            if (change) {
+                changes.push(change);
+            }
+        }
+    }
+    return changes;
+}
+
+/**
+ * Wallet balance, earnings waiting on campaign payment release and recent payouts for one creator.
+ * All amounts are minor units in the wallet's currency.
+ * @param {string} userId - Firebase user ID
+ * @param {Object} [options]
+ * @param {number} [options.recentPayoutLimit=5] - How many creatorPayout transactions to return
+ */
+export async function getCreatorWalletSummary(userId, { recentPayoutLimit = 5 } = {}) {
+    const sanitizedUserId = sanitizeUserId(userId);
+
+    const userDoc = await db.collection('users').doc(sanitizedUserId).get();
+    if (!userDoc.exists) {
+        throw new Error('User not found');
+    }
+    const userData = userDoc.data();
+    const wallet = readWallet(userData);
+    const payoutProvider = getUserPayoutProvider(userData);
+
+    // Earnings are only moved into the wallet when an admin releases a campaign's payments
+    const submissions = (await getCreatorSubmissions(sanitizedUserId))
+        .filter(submission => submission.status !== 'rejected' && readEarnings(submission) > 0);
+
+    const campaignIds = [...new Set(submissions.map(submission => submission.campaignId))];
+    const campaignDocs = campaignIds.length
+        ? await db.getAll(...campaignIds.map(id => db.collection('campaigns').doc(id)))
+        : [];
+    const unreleasedCampaigns = new Map(
+        campaignDocs
+            .filter(doc => doc.exists && !doc.data().paymentsReleased)
+            .map(doc => [doc.id, doc.data().name || doc.id])
+    );
+
+    const pendingByCampaign = {};
+    submissions
+        .filter(submission => unreleasedCampaigns.has(submission.campaignId))
+        .forEach(submission => {
+            pendingByCampaign[submission.campaignId] = (pendingByCampaign[submission.campaignId] || 0) + readEarnings(submission);
+        });
+
+    const pendingCampaigns = Object.entries(pendingByCampaign).map(([campaignId, amount]) => ({
+        campaignId,
+        campaignName: unreleasedCampaigns.get(campaignId),
+        amount
+    }));
+
+    // Two equality filters don't need a composite index; sort in memory instead of orderBy
+    const payoutsSnapshot = await db.collection('transactions')
+        .where('targetUserId', '==', sanitizedUserId)
+        .where('type', '==', 'creatorPayout')
+        .get();
+
+    const recentPayouts = payoutsSnapshot.docs
+        .map(doc => {
+            const data = doc.data();
+            return {
+                transactionId: doc.id,
+                amount: Math.abs(readTransactionAmount(data).amount),
+                status: data.status,
+                paymentMethod: data.paymentMethod,
+                createdAt: data.createdAt?.toMillis ? data.createdAt.toMillis() : null
+            };
+        })
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+        .slice(0, recentPayoutLimit);
+
+    return {
+        wallet: wallet.amount,
+        currency: wallet.currency,
+        paymentEmail: userData.paymentEmail || null,
+        payoutMethod: payoutProvider.name,
+        payoutRecipient: payoutProvider.getRecipient(userData),
+        pendingEarnings: pendingCampaigns.reduce((sum, campaign) => sum + campaign.amount, 0),
+        pendingCampaigns,
+        recentPayouts
+    };
+}
+
+/**
+ * Choose how a creator is paid out. Stripe needs the creator's connected account ID (acct_...),
+ * which can be passed here; PayPal uses the payment email already on the profile.
+ */
+export async function setPayoutMethod(userId, payoutMethod, { stripeAccountId = null } = {}) {
+    try {
+        const sanitizedUserId = sanitizeUserId(userId);
+        if (!PAYOUT_METHODS.includes(payoutMethod)) {
+            throw new Error(`Payout method must be one of: ${PAYOUT_METHODS.join(', ')}`);
+        }
+        if (stripeAccountId !== null && !/^acct_[a-zA-Z0-9]{1,64}$/.test(stripeAccountId)) {
+            throw new Error('Invalid Stripe account ID');
+        }
+
+        const userRef = db.collection('users').doc(sanitizedUserId);
+        const userDoc = await userRef.get();
+        if (!userDoc.exists) {
+            throw new Error('User not found');
+        }
+
+        const updates = { payoutMethod };
+        if (stripeAccountId) {
+            updates.stripeAccountId = stripeAccountId;
+        }
+
+        const provider = getPayoutProvider(payoutMethod);
+        if (!provider.getRecipient({ ...userDoc.data(), ...updates })) {
+            throw new Error(provider.missingRecipientError);
+        }
+
+        await userRef.update(updates);
+
+        return { success: true, payoutMethod, error: null };
+    } catch (error) {
+        console.error('Error setting payout method:', error);
+        return { success: false, error: error.message };
     }
 }
 
@@ -237,11 +757,12 @@ export async function releaseCampaignPayments(campaignId, actorId) {
             return { success: false, message: 'Payments have already been released for this campaign.' };
         }
 
+        const submissions = await getCampaignSubmissions(sanitizedCampaignId);
+
         const usersToBePaid = () => {
             const creators = new Set(); // Use Set to avoid duplicates
-            const videos = campaignData.videos || [];
             
-            videos.forEach(video => {
+            submissions.forEach(video => {
                 if (video.author_id) {
                     creators.add(video.author_id);
                 }
@@ -250,8 +771,27 @@ export async function releaseCampaignPayments(campaignId, actorId) {
             return Array.from(creators); // Convert Set back to array
         }
 
-        const paymentsSentToWallets = await sendPaymentsToWallets(campaignData, usersToBePaid());
-        
+        const paymentsSentToWallets = await sendPaymentsToWallets(sanitizedCampaignId, actorId, submissions, usersToBePaid());
+
+        // Creators whose ledger entry failed haven't been paid yet. Leave the campaign unreleased so the release
+        // can be run again; the per-campaign entry IDs keep everyone already credited from being paid twice.
+        const uncreditedCreators = new Set(
+            paymentsSentToWallets.unpaidVideos
+                .filter(unpaidVideo => unpaidVideo.ledgerFailed)
+                .map(unpaidVideo => unpaidVideo.payeeId)
+        );
+        if (uncreditedCreators.size > 0) {
+            await campaignDocRef.update({
+                paymentReleaseReceipt: paymentsSentToWallets,
+                paymentReleaseFailedAt: Date.now()
+            });
+            return {
+                success: false,
+                error: `Could not credit ${uncreditedCreators.size} creator(s); release the payments again to retry`,
+                receipt: paymentsSentToWallets
+            };
+        }
+
         await campaignDocRef.update({
             paymentsReleased: true,
             paymentsReleasedBy: actorId,
@@ -269,15 +809,15 @@ export async function releaseCampaignPayments(campaignId, actorId) {
     }
 }
 
-async function sendPaymentsToWallets(campaign, usersToBePaid) {
+async function sendPaymentsToWallets(campaignId, actorId, submissions, usersToBePaid) {
     try {
         let userPayoutData = {};
-        const videos = campaign.videos || [];
         let unpaidVideos = [];
 
-        for (const video of videos) {
-            // Safely handle earnings - default to 0 if undefined/null/NaN
-            const earningsForThisVideo = parseFloat(video.earnings) || 0;
+        for (const video of submissions) {
+            // Earnings in minor units; missing or legacy decimal values are converted
+            const earningsForThisVideo = readEarnings(video);
+            const earningsCurrency = video.earningsCurrency || DEFAULT_CURRENCY;
             const authorId = video.author_id;
             
             if (!usersToBePaid.includes(authorId)) {
@@ -297,6 +837,12 @@ async function sendPaymentsToWallets(campaign, usersToBePaid) {
                     reasonNoPaymentSent: "The video has earned $0.00",
                     video
                 });
+            } else if (userPayoutData[authorId] && userPayoutData[authorId].currency !== earningsCurrency) {
+                unpaidVideos.push({
+                    payeeId: authorId,
+                    reasonNoPaymentSent: `Earnings are in ${earningsCurrency} but other videos were paid in ${userPayoutData[authorId].currency}`,
+                    video
+                });
             } else {
                 // Only process payment for videos that pass all checks
                 if (userPayoutData[authorId]) {
@@ -306,55 +852,62 @@ async function sendPaymentsToWallets(campaign, usersToBePaid) {
                     userPayoutData[authorId] = {
                         payeeId: authorId,
                         amountOwed: earningsForThisVideo,
+                        currency: earningsCurrency,
                         videos: [video]
                     };
                 }
             }
         }
 
-        // Add user doc data to each payout entry and prepare wallet updates
-        const userIds = Object.keys(userPayoutData);
-        const userSnapshots = await Promise.all(
-            userIds.map(id => db.collection('users').doc(id).get())
-        );
-
-        // Prepare batch operations for wallet updates
-        const batch = db.batch();
+        // Credit each creator's wallet through the ledger, one transaction per creator.
+        // Entry IDs are per campaign and creator, so a retried release can't credit anyone twice.
         const walletUpdateResults = [];
+        const paidVideos = [];
+        const userIds = Object.keys(userPayoutData);
 
-        userSnapshots.forEach(snapshot => {
-            if (snapshot.exists) {
-                const userData = snapshot.data();
-                const userId = snapshot.id;
+        for (let i = 0; i < userIds.length; i += 10) {
+            await Promise.all(userIds.slice(i, i + 10).map(async (userId) => {
                 const payoutData = userPayoutData[userId];
-                
-                // Merge user data with payout data
-                userPayoutData[userId] = {
-                    ...payoutData,
-                    ...userData
-                };
+                try {
+                    const result = await postWalletEntry(userId, {
+                        entryId: `campaignEarnings_${campaignId}_${userId}`,
+                        type: 'campaignEarnings',
+                        amount: payoutData.amountOwed,
+                        currency: payoutData.currency,
+                        contraAccount: campaignAccount(campaignId),
+                        campaignId,
+                        actorId,
+                        description: `Earnings from ${payoutData.videos.length} video(s)`
+                    });
+
+                    walletUpdateResults.push({
+                        userId: userId,
+                        ledgerEntryId: result.entryId,
+                        previousWallet: result.previousBalance,
+                        payoutAmount: payoutData.amountOwed,
+                        newWallet: result.balanceAfter,
+                        currency: payoutData.currency,
+                        alreadyPosted: result.alreadyPosted
+                    });
+                    paidVideos.push(...payoutData.videos);
+                } catch (error) {
+                    payoutData.videos.forEach(video => unpaidVideos.push({
+                        payeeId: userId,
+                        reasonNoPaymentSent: error.message,
+                        ledgerFailed: true,
+                        video
+                    }));
+                }
+            }));
+        }
 
-                // Prepare wallet update
-                const userRef = db.collection('users').doc(userId);
-                const currentWallet = parseFloat(userData.wallet) || 0;
-                const payoutAmount = parseFloat(payoutData.amountOwed) || 0;
-                const newWalletAmount = currentWallet + payoutAmount;
-                
-                batch.update(userRef, {
-                    wallet: newWalletAmount
-                });
+        // Shown as "(paid)" in /mysubmissions
+        const paidAt = Date.now();
+        await updateSubmissions(campaignId, paidVideos.map(video => ({
+            submissionId: video.submissionId,
+            updates: { hasBeenPaid: true, paidAt }
+        })));
 
-                walletUpdateResults.push({
-                    userId: userId,
-                    previousWallet: currentWallet,
-                    payoutAmount: payoutAmount,
-                    newWallet: newWalletAmount,
-                    userData: userData
-                });
-            }
-        });
-  
-        await batch.commit();
         return {
             unpaidVideos: unpaidVideos,
             walletUpdates: walletUpdateResults
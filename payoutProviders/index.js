@@ -0,0 +1,41 @@
+import paypalProvider from './paypalProvider.js';
+import stripeProvider from './stripeProvider.js';
+
+/**
+ * Payout providers send a creator's wallet balance to them:
+ *   name, displayName
+ *   recipientField                - User doc field holding where the money goes (paymentEmail, stripeAccountId)
+ *   missingRecipientError         - Message when that field isn't set
+ *   isTestMode                    - Sandbox/test credentials, recorded as isTestPayment
+ *   getRecipient(userData)        - The recipient, or null
+ *   sendPayout({ transactionId, userId, recipient, amount (minor units), currency })
+ *       -> { reference, status: 'processing' | 'completed', metadata }
+ *   sendBatchPayout({ batchId, items: [{ transactionId, userId, recipient, amount, currency }] }) - Optional,
+ *       pays many creators in one request (maxBatchItems per call); same result shape for the whole batch
+ *   recoverPayout({ payoutKey, items, sentAt }) - Settle a send whose outcome is unknown (see payoutErrors.js):
+ *       the send's result if the provider has the payout, null if it never did, throws while it can't tell
+ *
+ * Creators choose one with `users.payoutMethod`; users without it are paid through PayPal.
+ */
+const PAYOUT_PROVIDERS = {
+    [paypalProvider.name]: paypalProvider,
+    [stripeProvider.name]: stripeProvider
+};
+
+export const PAYOUT_METHODS = Object.keys(PAYOUT_PROVIDERS);
+export const DEFAULT_PAYOUT_METHOD = paypalProvider.name;
+
+export function getPayoutProvider(payoutMethod = DEFAULT_PAYOUT_METHOD) {
+    const provider = PAYOUT_PROVIDERS[payoutMethod];
+    if (!provider) {
+        throw new Error(`Unknown payout method: ${payoutMethod}`);
+    }
+    return provider;
+}
+
+export function getUserPayoutProvider(userData) {
+    return getPayoutProvider(userData?.payoutMethod || DEFAULT_PAYOUT_METHOD);
+}
+
+export { paypalProvider, stripeProvider };
+export { isPayoutRejected } from './payoutErrors.js';
@@ -0,0 +1,28 @@
+/**
+ * A failed send only means no money moved when the provider definitely refused it: an error raised before the
+ * request went out, or a 4xx response carrying the provider's error body. Timeouts, dropped connections and 5xx
+ * responses are ambiguous because the provider may already have accepted the payout, so those payouts have to stay
+ * pending until settleUnknownPayouts or a webhook finds out what happened.
+ */
+
+// Statuses that don't prove the request was refused: 408 timed out, 409 Stripe is still handling the same key
+const AMBIGUOUS_CLIENT_STATUSES = [408, 409];
+
+// An error raised before anything was sent to the provider
+export function payoutRejectedError(message, cause) {
+    const error = new Error(message, cause ? { cause } : undefined);
+    error.payoutRejected = true;
+    return error;
+}
+
+export function isPayoutRejected(error) {
+    if (error?.payoutRejected) {
+        return true;
+    }
+
+    const status = error?.response?.status;
+    const body = error?.response?.data;
+    // PayPal errors have a `name`, Stripe errors an `error` object
+    const isProviderError = Boolean(body && typeof body === 'object' && (body.name || body.error));
+    return status >= 400 && status < 500 && !AMBIGUOUS_CLIENT_STATUSES.includes(status) && isProviderError;
+}
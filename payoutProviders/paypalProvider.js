@@ -0,0 +1,119 @@
+import axios from 'axios';
+import { PAYPAL_API_BASE, getPayPalAccessToken } from '../paypalClient.js';
+import { toDecimalString } from '../money.js';
+import { payoutRejectedError } from './payoutErrors.js';
+
+// PayPal's limit on items in one payout batch
+const PAYPAL_MAX_BATCH_ITEMS = 15000;
+
+// PayPal rejects a reused sender_batch_id for 30 days; only resend well inside that window
+const PAYPAL_RESEND_WINDOW = 1000 * 60 * 60 * 24 * 7; // 7 days
+
+// Get the status of a payout batch and all of its items (used by payout reconciliation)
+export async function getPayPalPayoutBatch(payoutBatchId) {
+    const accessToken = await getPayPalAccessToken();
+    const pageSize = 1000;
+
+    let batch = null;
+    const items = [];
+    for (let page = 1; ; page++) {
+        const response = await axios({
+            url: `${PAYPAL_API_BASE}/v1/payments/payouts/${encodeURIComponent(payoutBatchId)}`,
+            method: 'get',
+            headers: { Authorization: `Bearer ${accessToken}` },
+            params: { page, page_size: pageSize },
+        });
+
+        batch = batch || response.data;
+        const pageItems = response.data.items || [];
+        items.push(...pageItems);
+        if (pageItems.length < pageSize) {
+            break;
+        }
+    }
+
+    return { ...batch, items };
+}
+
+// PayPal rejects a second batch with the same sender_batch_id, so retries can't pay twice
+async function createPayoutBatch(senderBatchId, items) {
+    // No payout request has gone out if we can't get a token
+    const accessToken = await getPayPalAccessToken().catch(error => {
+        throw payoutRejectedError(`Couldn't authenticate with PayPal: ${error.message}`, error);
+    });
+
+    const body = {
+        sender_batch_header: {
+            sender_batch_id: senderBatchId,
+            email_subject: 'You have a payout!',
+            email_message: 'Your creator payout has been processed successfully.'
+        },
+        items: items.map(item => ({
+            recipient_type: 'EMAIL',
+            amount: {
+                value: toDecimalString(item.amount, item.currency),
+                currency: item.currency
+            },
+            receiver: item.recipient,
+            note: 'Creator payout',
+            sender_item_id: item.senderItemId
+        }))
+    };
+
+    const response = await axios({
+        url: `${PAYPAL_API_BASE}/v1/payments/payouts`,
+        method: 'post',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${accessToken}`,
+        },
+        data: body,
+    });
+
+    const payoutBatchId = response.data?.batch_header?.payout_batch_id;
+    if (!payoutBatchId) {
+        throw new Error('Invalid PayPal response');
+    }
+
+    // PayPal settles the items later; reconcilePayPalPayouts and the webhook move them out of "processing"
+    return { reference: payoutBatchId, status: 'processing', metadata: { payoutBatchId } };
+}
+
+export default {
+    name: 'paypal',
+    displayName: 'PayPal',
+    recipientField: 'paymentEmail',
+    missingRecipientError: 'User does not have a payment email configured',
+    isTestMode: PAYPAL_API_BASE.includes('sandbox'),
+    maxBatchItems: PAYPAL_MAX_BATCH_ITEMS,
+
+    getRecipient(userData) {
+        return userData?.paymentEmail || null;
+    },
+
+    // A single-item batch; the batch ID comes from our transaction ID
+    async sendPayout({ transactionId, userId, recipient, amount, currency }) {
+        return createPayoutBatch(`payout_${transactionId}`, [{ senderItemId: userId, recipient, amount, currency }]);
+    },
+
+    // One batch for many creators; each item's sender_item_id is its transaction ID
+    async sendBatchPayout({ batchId, items }) {
+        if (items.length > PAYPAL_MAX_BATCH_ITEMS) {
+            throw payoutRejectedError(`PayPal batches are limited to ${PAYPAL_MAX_BATCH_ITEMS} items`);
+        }
+        return createPayoutBatch(batchId, items.map(item => ({ ...item, senderItemId: item.transactionId })));
+    },
+
+    // Resend a payout whose first send had no clear answer under the same sender_batch_id. PayPal creates it if
+    // the first send never arrived and rejects it as a duplicate if it did; the batch webhook then names the batch.
+    async recoverPayout({ payoutKey, items, sentAt }) {
+        if (Date.now() - sentAt > PAYPAL_RESEND_WINDOW) {
+            throw new Error(`Batch ${payoutKey} is too old to resend safely; check it in PayPal`);
+        }
+        const [firstItem] = items;
+        if (items.length === 1 && payoutKey === `payout_${firstItem.transactionId}`) {
+            return this.sendPayout(firstItem);
+        }
+        return this.sendBatchPayout({ batchId: payoutKey, items });
+    }
+};
@@ -0,0 +1,72 @@
+import axios from 'axios';
+import { payoutRejectedError } from './payoutErrors.js';
+
+const STRIPE_API_BASE = 'https://api.stripe.com/v1';
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+
+export default {
+    name: 'stripe',
+    displayName: 'Stripe',
+    recipientField: 'stripeAccountId',
+    missingRecipientError: 'User does not have a Stripe account connected',
+    isTestMode: Boolean(STRIPE_SECRET_KEY?.startsWith('sk_test_')),
+
+    getRecipient(userData) {
+        return userData?.stripeAccountId || null;
+    },
+
+    // Stripe Connect transfer from the platform balance to the creator's connected account.
+    // Stripe amounts are already minor units. The idempotency key makes a retried request return the same transfer.
+    async sendPayout({ transactionId, userId, recipient, amount, currency }) {
+        if (!STRIPE_SECRET_KEY) {
+            throw payoutRejectedError('STRIPE_SECRET_KEY is not set');
+        }
+
+        const response = await axios({
+            url: `${STRIPE_API_BASE}/transfers`,
+            method: 'post',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Authorization: `Bearer ${STRIPE_SECRET_KEY}`,
+                'Idempotency-Key': `payout_${transactionId}`
+            },
+            data: new URLSearchParams({
+                amount: String(amount),
+                currency: currency.toLowerCase(),
+                destination: recipient,
+                transfer_group: `payout_${transactionId}`,
+                'metadata[transactionId]': transactionId,
+                'metadata[userId]': userId
+            }).toString(),
+        });
+
+        if (!response.data?.id) {
+            throw new Error('Invalid Stripe response');
+        }
+
+        return transferResult(response.data);
+    },
+
+    // Find the transfer for a payout whose send had no clear answer; null means Stripe never created one
+    async recoverPayout({ items }) {
+        if (!STRIPE_SECRET_KEY) {
+            throw new Error('STRIPE_SECRET_KEY is not set');
+        }
+
+        const [{ transactionId }] = items;
+        const response = await axios({
+            url: `${STRIPE_API_BASE}/transfers`,
+            method: 'get',
+            headers: { Authorization: `Bearer ${STRIPE_SECRET_KEY}` },
+            params: { transfer_group: `payout_${transactionId}`, limit: 1 },
+        });
+
+        const [transfer] = response.data?.data || [];
+        return transfer ? transferResult(transfer) : null;
+    }
+};
+
+// Transfers land in the connected account's balance immediately
+function transferResult(transfer) {
+    return { reference: transfer.id, status: 'completed', metadata: { stripeTransferId: transfer.id } };
+}
@@ -0,0 +1,295 @@
+import { db } from './firebaseAdmin.js';
+import { debitWalletForPayout, recordPayoutSent, reversePayout, markPayoutSendUnknown } from './payments.js';
+import { getUserPayoutProvider, isPayoutRejected } from './payoutProviders/index.js';
+import { readWallet, toMinorUnits } from './money.js';
+
+/**
+ * A payout run pays every creator whose wallet is at or above a minimum balance.
+ * PayPal creators are paid together in batches; other providers get one payout each.
+ * Runs are recorded in `payoutRuns/{runId}` with counts and totals, and one doc per creator in
+ * `payoutRuns/{runId}/results` ({ outcome: 'paid' | 'unconfirmed' | 'skipped' | 'failed', ... }).
+ * Unconfirmed payouts got no clear answer from the provider; they stay pending until settleUnknownPayouts settles them.
+ */
+
+// Minimum withdrawable balance in major units of the wallet's currency, overridden by PAYOUT_RUN_MINIMUM
+export const DEFAULT_PAYOUT_RUN_MINIMUM = 10;
+
+// A run that crashed stops blocking new runs after this long
+const PAYOUT_RUN_LOCK_TIMEOUT = 1000 * 60 * 60; // 1 hour
+
+// Firestore batches are limited to 500 writes
+const MAX_BATCH_WRITES = 500;
+
+export function getPayoutRunMinimum() {
+    const minimum = Number(process.env.PAYOUT_RUN_MINIMUM);
+    return minimum > 0 ? minimum : DEFAULT_PAYOUT_RUN_MINIMUM;
+}
+
+const lockRef = () => db.collection('system_info').doc('payoutRun');
+
+async function acquireRunLock(runId) {
+    await db.runTransaction(async (transaction) => {
+        const lock = (await transaction.get(lockRef())).data() || {};
+        if (lock.runningRunId && Date.now() - lock.startedAt < PAYOUT_RUN_LOCK_TIMEOUT) {
+            throw new Error(`Payout run ${lock.runningRunId} is already in progress`);
+        }
+        transaction.set(lockRef(), { runningRunId: runId, startedAt: Date.now() }, { merge: true });
+    });
+}
+
+async function releaseRunLock(runId) {
+    await db.runTransaction(async (transaction) => {
+        const lock = (await transaction.get(lockRef())).data() || {};
+        if (lock.runningRunId === runId) {
+            transaction.set(lockRef(), { runningRunId: null, lastRunId: runId, lastCompletedAt: Date.now() }, { merge: true });
+        }
+    });
+}
+
+const getUserName = (userData) =>
+    `${userData.firstName || ''} ${userData.lastName || ''}`.trim() || userData.email || 'Unknown';
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Pay every creator with a withdrawable balance at or above the minimum
+ * @param {Object} [options]
+ * @param {number} [options.minimum] - Major units, defaults to getPayoutRunMinimum()
+ * @param {string} [options.trigger='schedule'] - 'schedule' or 'admin'
+ * @param {string} [options.actorId='system']
+ * @param {string} [options.actorName='Scheduled payout run']
+ * @returns {Promise<Object>} The run report
+ */
+export async function runPayouts({
+    minimum = getPayoutRunMinimum(),
+    trigger = 'schedule',
+    actorId = 'system',
+    actorName = 'Scheduled payout run'
+} = {}) {
+    if (!(Number(minimum) > 0)) {
+        throw new Error('Payout run minimum must be a positive amount');
+    }
+
+    const runRef = db.collection('payoutRuns').doc();
+    const runId = runRef.id;
+    const startedAt = Date.now();
+
+    await acquireRunLock(runId);
+
+    try {
+        await runRef.set({ status: 'running', trigger, actorId, actorName, minimum: Number(minimum), startedAt });
+
+        const paid = [];
+        const skipped = [];
+        const failed = [];
+        const unconfirmed = [];
+        const batches = [];
+        const pending = [];
+        let belowMinimum = 0;
+
+        // PHASE 1: Find creators at or above the minimum and debit their wallets
+        const usersSnapshot = await db.collection('users').get();
+        for (const userDoc of usersSnapshot.docs) {
+            const userData = userDoc.data();
+            const wallet = readWallet(userData);
+            if (wallet.amount <= 0) {
+                continue;
+            }
+            if (wallet.amount < toMinorUnits(minimum, wallet.currency)) {
+                belowMinimum++;
+                continue;
+            }
+
+            const creator = { userId: userDoc.id, userName: getUserName(userData), amount: wallet.amount, currency: wallet.currency };
+
+            if (userData.walletReconciliation?.status === 'mismatch') {
+                skipped.push({ ...creator, reason: "Wallet balance doesn't match the ledger" });
+                continue;
+            }
+
+            const provider = getUserPayoutProvider(userData);
+            const recipient = provider.getRecipient(userData);
+            if (!recipient) {
+                skipped.push({ ...creator, paymentMethod: provider.name, reason: provider.missingRecipientError });
+                continue;
+            }
+
+            try {
+                const { transactionRef, amount, currency } = await debitWalletForPayout(userDoc, provider, recipient, {
+                    actorId,
+                    actorName,
+                    source: 'scheduledPayout',
+                    payoutRunId: runId
+                });
+                pending.push({ ...creator, amount, currency, userRef: userDoc.ref, provider, recipient, transactionRef });
+            } catch (error) {
+                failed.push({ ...creator, paymentMethod: provider.name, reason: error.message });
+            }
+        }
+
+        const markSent = async (payout, payoutResult) => {
+            try {
+                await recordPayoutSent(payout.transactionRef, payout.userRef, payout.provider, payoutResult, payout.amount);
+            } catch (error) {
+                // The money was sent; reconciliation will still pick the payout up by its batch
+                console.error(`Error recording payout ${payout.transactionRef.id}:`, error);
+            }
+            paid.push({
+                userId: payout.userId,
+                userName: payout.userName,
+                amount: payout.amount,
+                currency: payout.currency,
+                paymentMethod: payout.provider.name,
+                transactionId: payout.transactionRef.id,
+                paymentReference: payoutResult.reference
+            });
+        };
+
+        const markFailed = async (payout, error, payoutKey) => {
+            const result = {
+                userId: payout.userId,
+                userName: payout.userName,
+                amount: payout.amount,
+                currency: payout.currency,
+                paymentMethod: payout.provider.name,
+                transactionId: payout.transactionRef.id,
+                reason: error.message
+            };
+
+            if (!isPayoutRejected(error)) {
+                // The provider may have accepted it, so the wallet stays debited until the send is settled
+                await markPayoutSendUnknown(payout.transactionRef, error, { payoutKey }).catch(markError =>
+                    console.error(`Error marking payout ${payout.transactionRef.id} as unknown:`, markError));
+                unconfirmed.push(result);
+                return;
+            }
+
+            // The provider refused it, so nothing was sent: put the money back in the wallet
+            await reversePayout(payout.transactionRef, { reason: error.message, actorId }).catch(reversalError =>
+                console.error(`Error reversing payout ${payout.transactionRef.id}:`, reversalError));
+            failed.push(result);
+        };
+
+        // PHASE 2: Send batches for providers that support them, single payouts for the rest
+        const byProvider = new Map();
+        pending.forEach(payout => {
+            byProvider.set(payout.provider.name, [...(byProvider.get(payout.provider.name) || []), payout]);
+        });
+
+        for (const payouts of byProvider.values()) {
+            const provider = payouts[0].provider;
+
+            if (!provider.sendBatchPayout) {
+                for (const payout of payouts) {
+                    try {
+                        const payoutResult = await provider.sendPayout({
+                            transactionId: payout.transactionRef.id,
+                            userId: payout.userId,
+                            recipient: payout.recipient,
+                            amount: payout.amount,
+                            currency: payout.currency
+                        });
+                        await markSent(payout, payoutResult);
+                    } catch (error) {
+                        await markFailed(payout, error, `payout_${payout.transactionRef.id}`);
+                    }
+                }
+                continue;
+            }
+
+            for (const [index, batchPayouts] of chunk(payouts, provider.maxBatchItems).entries()) {
+                const batchId = `run_${runId}_${provider.name}_${index + 1}`;
+                try {
+                    const payoutResult = await provider.sendBatchPayout({
+                        batchId,
+                        items: batchPayouts.map(payout => ({
+                            transactionId: payout.transactionRef.id,
+                            userId: payout.userId,
+                            recipient: payout.recipient,
+                            amount: payout.amount,
+                            currency: payout.currency
+                        }))
+                    });
+                    batches.push({ batchId, paymentMethod: provider.name, paymentReference: payoutResult.reference, items: batchPayouts.length });
+
+                    for (const payout of batchPayouts) {
+                        await markSent(payout, payoutResult);
+                    }
+                } catch (error) {
+                    batches.push({ batchId, paymentMethod: provider.name, paymentReference: null, items: batchPayouts.length, error: error.message, unconfirmed: !isPayoutRejected(error) });
+                    for (const payout of batchPayouts) {
+                        await markFailed(payout, error, batchId);
+                    }
+                }
+            }
+        }
+
+        // PHASE 3: Store the report
+        const paidTotals = paid.reduce((totals, payout) => {
+            totals[payout.currency] = (totals[payout.currency] || 0) + payout.amount;
+            return totals;
+        }, {});
+
+        const results = [
+            ...paid.map(result => ({ ...result, outcome: 'paid' })),
+            ...unconfirmed.map(result => ({ ...result, outcome: 'unconfirmed' })),
+            ...skipped.map(result => ({ ...result, outcome: 'skipped' })),
+            ...failed.map(result => ({ ...result, outcome: 'failed' }))
+        ];
+        for (const resultsChunk of chunk(results, MAX_BATCH_WRITES)) {
+            const batch = db.batch();
+            resultsChunk.forEach(result => batch.set(runRef.collection('results').doc(result.userId), result));
+            await batch.commit();
+        }
+
+        const report = {
+            runId,
+            status: 'completed',
+            trigger,
+            actorId,
+            actorName,
+            minimum: Number(minimum),
+            startedAt,
+            completedAt: Date.now(),
+            counts: { paid: paid.length, unconfirmed: unconfirmed.length, skipped: skipped.length, failed: failed.length, belowMinimum },
+            paidTotals,
+            batches
+        };
+        await runRef.set(report);
+
+        console.log(`Payout run ${runId}: ${paid.length} paid, ${unconfirmed.length} unconfirmed, ${skipped.length} skipped, ${failed.length} failed`);
+
+        return { ...report, paid, unconfirmed, skipped, failed };
+    } catch (error) {
+        await runRef.set({ status: 'failed', error: error.message, completedAt: Date.now() }, { merge: true });
+        throw error;
+    } finally {
+        await releaseRunLock(runId);
+    }
+}
+
+// A stored run with its per-creator results
+export async function getPayoutRunReport(runId) {
+    const runDoc = await db.collection('payoutRuns').doc(runId).get();
+    if (!runDoc.exists) {
+        return null;
+    }
+
+    const resultsSnapshot = await runDoc.ref.collection('results').get();
+    const results = resultsSnapshot.docs.map(doc => doc.data());
+
+    return {
+        runId,
+        ...runDoc.data(),
+        paid: results.filter(result => result.outcome === 'paid'),
+        unconfirmed: results.filter(result => result.outcome === 'unconfirmed'),
+        skipped: results.filter(result => result.outcome === 'skipped'),
+        failed: results.filter(result => result.outcome === 'failed')
+    };
+}
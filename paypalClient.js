@@ -0,0 +1,20 @@
+import axios from 'axios';
+
+const PAYPAL_CLIENT_ID = process.env.PAYPAL_CLIENT_ID;
+const PAYPAL_SECRET_KEY = process.env.PAYPAL_SECRET_KEY;
+export const PAYPAL_API_BASE = process.env.PAYPAL_MODE === 'sandbox' ? 'https://api.sandbox.paypal.com' : 'https://api.paypal.com';
+
+// Get PayPal OAuth token
+export async function getPayPalAccessToken() {
+    const response = await axios({
+        url: `${PAYPAL_API_BASE}/v1/oauth2/token`,
+        method: 'post',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        auth: {
+            username: PAYPAL_CLIENT_ID,
+            password: PAYPAL_SECRET_KEY,
+        },
+        data: 'grant_type=client_credentials',
+    });
+    return response.data.access_token;
+}
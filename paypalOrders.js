@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { PAYPAL_API_BASE, getPayPalAccessToken } from './paypalClient.js';
+import { toMinorUnits, toDecimalString } from './money.js';
+
+/**
+ * PayPal Orders v2 (checkout) clients:
+ *   createOrder({ referenceId, customId, description, amount (minor units), currency }) - Order awaiting buyer approval
+ *   captureOrder(orderId) - Collect the money once the buyer approved
+ *   getOrder(orderId)
+ * All return PayPal's order JSON.
+ *
+ * Set PAYPAL_ORDERS_CLIENT=local to use an in-memory stand-in that needs no PayPal account: orders count as
+ * approved as soon as they're created, and captures behave like PayPal's (including ORDER_ALREADY_CAPTURED).
+ * The stand-in is only allowed when ENVIRONMENT=development, so an unset or misspelled ENVIRONMENT can't fund
+ * campaigns without a real payment.
+ */
+
+function buildPurchaseUnit({ referenceId, customId, description, amount, currency }) {
+    return {
+        reference_id: referenceId,
+        custom_id: customId,
+        description,
+        amount: {
+            currency_code: currency,
+            value: toDecimalString(amount, currency)
+        }
+    };
+}
+
+const paypalOrdersClient = {
+    name: 'paypal',
+
+    async createOrder(order) {
+        const accessToken = await getPayPalAccessToken();
+        const response = await axios({
+            url: `${PAYPAL_API_BASE}/v2/checkout/orders`,
+            method: 'post',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${accessToken}`,
+                'PayPal-Request-Id': `order_${order.customId}`
+            },
+            data: {
+                intent: 'CAPTURE',
+                purchase_units: [buildPurchaseUnit(order)]
+            },
+        });
+        return response.data;
+    },
+
+    async captureOrder(orderId) {
+        const accessToken = await getPayPalAccessToken();
+        const response = await axios({
+            url: `${PAYPAL_API_BASE}/v2/checkout/orders/${encodeURIComponent(orderId)}/capture`,
+            method: 'post',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${accessToken}`,
+                // A retried capture returns the first capture instead of charging again
+                'PayPal-Request-Id': `capture_${orderId}`
+            },
+        });
+        return response.data;
+    },
+
+    async getOrder(orderId) {
+        const accessToken = await getPayPalAccessToken();
+        const response = await axios({
+            url: `${PAYPAL_API_BASE}/v2/checkout/orders/${encodeURIComponent(orderId)}`,
+            method: 'get',
+            headers: { Authorization: `Bearer ${accessToken}` },
+        });
+        return response.data;
+    }
+};
+
+const localOrders = new Map();
+
+function localOrderError(issue, message) {
+    const error = new Error(message);
+    error.issue = issue;
+    return error;
+}
+
+const localOrdersClient = {
+    name: 'local',
+
+    async createOrder(order) {
+        const id = `LOCAL-${crypto.randomUUID()}`;
+        const localOrder = {
+            id,
+            intent: 'CAPTURE',
+            status: 'APPROVED',
+            purchase_units: [buildPurchaseUnit(order)],
+            create_time: new Date().toISOString(),
+            links: [{ rel: 'approve', href: `${process.env.FRONTEND_BASE_URL || 'http://localhost:3000'}/local-checkout?token=${id}`, method: 'GET' }]
+        };
+        localOrders.set(id, localOrder);
+        return structuredClone(localOrder);
+    },
+
+    async captureOrder(orderId) {
+        const order = localOrders.get(orderId);
+        if (!order) {
+            throw localOrderError('RESOURCE_NOT_FOUND', `Order ${orderId} not found`);
+        }
+        if (order.status === 'COMPLETED') {
+            throw localOrderError('ORDER_ALREADY_CAPTURED', `Order ${orderId} was already captured`);
+        }
+
+        const [unit] = order.purchase_units;
+        unit.payments = {
+            captures: [{
+                id: `LOCALCAPTURE-${crypto.randomUUID()}`,
+                status: 'COMPLETED',
+                amount: unit.amount,
+                seller_receivable_breakdown: {
+                    gross_amount: unit.amount,
+                    paypal_fee: { currency_code: unit.amount.currency_code, value: toDecimalString(0, unit.amount.currency_code) },
+                    net_amount: unit.amount
+                },
+                create_time: new Date().toISOString()
+            }]
+        };
+        order.status = 'COMPLETED';
+        return structuredClone(order);
+    },
+
+    async getOrder(orderId) {
+        const order = localOrders.get(orderId);
+        if (!order) {
+            throw localOrderError('RESOURCE_NOT_FOUND', `Order ${orderId} not found`);
+        }
+        return structuredClone(order);
+    }
+};
+
+const ORDERS_CLIENTS = {
+    [paypalOrdersClient.name]: paypalOrdersClient,
+    [localOrdersClient.name]: localOrdersClient
+};
+
+// The client PAYPAL_ORDERS_CLIENT selects, or a named one such as the client an existing order was created with
+export function getPayPalOrdersClient(clientName = process.env.PAYPAL_ORDERS_CLIENT || paypalOrdersClient.name) {
+    const client = ORDERS_CLIENTS[clientName];
+    if (!client) {
+        throw new Error(`Unknown PayPal orders client: ${clientName}`);
+    }
+    if (client === localOrdersClient && process.env.ENVIRONMENT !== 'development') {
+        throw new Error('The local PayPal orders client can only be used when ENVIRONMENT=development');
+    }
+    return client;
+}
+
+// PayPal's error issue code, e.g. ORDER_NOT_APPROVED, from an API or stand-in error
+export function getPayPalIssue(error) {
+    return error.issue || error.response?.data?.details?.[0]?.issue || null;
+}
+
+export async function createPayPalOrder(order) {
+    return getPayPalOrdersClient().createOrder(order);
+}
+
+// Capture an order; if it was already captured (e.g. a retry after a crash) return the existing capture.
+// Pass the client the order was created with, since an order only exists on that client.
+export async function capturePayPalOrder(orderId, clientName) {
+    const client = getPayPalOrdersClient(clientName);
+    try {
+        return await client.captureOrder(orderId);
+    } catch (error) {
+        if (getPayPalIssue(error) === 'ORDER_ALREADY_CAPTURED') {
+            return client.getOrder(orderId);
+        }
+        throw error;
+    }
+}
+
+export function getApproveUrl(order) {
+    return order.links?.find(link => link.rel === 'approve' || link.rel === 'payer-action')?.href || null;
+}
+
+// The order's capture with amounts in minor units, or null if nothing was captured
+export function getOrderCapture(order) {
+    const capture = order.purchase_units?.[0]?.payments?.captures?.[0];
+    if (!capture) {
+        return null;
+    }
+
+    const currency = capture.amount.currency_code;
+    const breakdown = capture.seller_receivable_breakdown;
+    return {
+        captureId: capture.id,
+        status: capture.status,
+        currency,
+        amount: toMinorUnits(capture.amount.value, currency),
+        fee: breakdown?.paypal_fee ? toMinorUnits(breakdown.paypal_fee.value, currency) : 0,
+        netAmount: breakdown?.net_amount ? toMinorUnits(breakdown.net_amount.value, currency) : toMinorUnits(capture.amount.value, currency)
+    };
+}
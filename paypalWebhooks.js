@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { PAYPAL_API_BASE, getPayPalAccessToken } from './paypalClient.js';
+
+/**
+ * PayPal signs each webhook delivery with the paypal-transmission-* headers. By default the signature is checked
+ * with PayPal's verify-webhook-signature API against PAYPAL_WEBHOOK_ID.
+ *
+ * For local testing set PAYPAL_WEBHOOK_VERIFIER=local and PAYPAL_WEBHOOK_LOCAL_SECRET: deliveries are then
+ * signed with an HMAC of the same fields by signLocalWebhookEvent (see scripts/sendTestPayPalWebhook.js).
+ * The local verifier is only allowed when ENVIRONMENT=development.
+ */
+
+export const LOCAL_WEBHOOK_AUTH_ALGO = 'LOCAL-HMAC-SHA256';
+
+// Local deliveries older than this are rejected as replays
+const LOCAL_SIGNATURE_TOLERANCE = 1000 * 60 * 5; // 5 minutes
+
+function getTransmissionHeaders(headers) {
+    return {
+        transmissionId: headers['paypal-transmission-id'],
+        transmissionTime: headers['paypal-transmission-time'],
+        transmissionSig: headers['paypal-transmission-sig'],
+        authAlgo: headers['paypal-auth-algo'],
+        certUrl: headers['paypal-cert-url']
+    };
+}
+
+function computeLocalSignature(secret, transmissionId, transmissionTime, rawBody) {
+    const bodyHash = crypto.createHash('sha256').update(rawBody).digest('hex');
+    return crypto.createHmac('sha256', secret)
+        .update(`${transmissionId}|${transmissionTime}|${bodyHash}`)
+        .digest('base64');
+}
+
+// Headers PayPal would send with this body, signed with the local secret
+export function signLocalWebhookEvent(rawBody, secret = process.env.PAYPAL_WEBHOOK_LOCAL_SECRET) {
+    if (!secret) {
+        throw new Error('PAYPAL_WEBHOOK_LOCAL_SECRET is not set');
+    }
+
+    const transmissionId = crypto.randomUUID();
+    const transmissionTime = new Date().toISOString();
+
+    return {
+        'paypal-transmission-id': transmissionId,
+        'paypal-transmission-time': transmissionTime,
+        'paypal-transmission-sig': computeLocalSignature(secret, transmissionId, transmissionTime, rawBody),
+        'paypal-auth-algo': LOCAL_WEBHOOK_AUTH_ALGO,
+        'paypal-cert-url': 'local'
+    };
+}
+
+function verifyLocalSignature({ transmissionId, transmissionTime, transmissionSig, authAlgo }, rawBody) {
+    if (process.env.ENVIRONMENT !== 'development') {
+        throw new Error('The local PayPal webhook verifier can only be used when ENVIRONMENT=development');
+    }
+
+    const secret = process.env.PAYPAL_WEBHOOK_LOCAL_SECRET;
+    if (!secret) {
+        throw new Error('PAYPAL_WEBHOOK_LOCAL_SECRET is not set');
+    }
+
+    const sentAt = new Date(transmissionTime).getTime();
+    if (authAlgo !== LOCAL_WEBHOOK_AUTH_ALGO || isNaN(sentAt) || Math.abs(Date.now() - sentAt) > LOCAL_SIGNATURE_TOLERANCE) {
+        return false;
+    }
+
+    const expected = Buffer.from(computeLocalSignature(secret, transmissionId, transmissionTime, rawBody));
+    const received = Buffer.from(transmissionSig);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+async function verifyWithPayPal({ transmissionId, transmissionTime, transmissionSig, authAlgo, certUrl }, rawBody) {
+    const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+    if (!webhookId) {
+        throw new Error('PAYPAL_WEBHOOK_ID is not set');
+    }
+
+    const accessToken = await getPayPalAccessToken();
+
+    // Send the body exactly as received; re-serializing the parsed event can change it and fail verification
+    const data = `{"auth_algo":${JSON.stringify(authAlgo)},"cert_url":${JSON.stringify(certUrl)},`
+        + `"transmission_id":${JSON.stringify(transmissionId)},"transmission_sig":${JSON.stringify(transmissionSig)},`
+        + `"transmission_time":${JSON.stringify(transmissionTime)},"webhook_id":${JSON.stringify(webhookId)},`
+        + `"webhook_event":${rawBody.toString('utf8')}}`;
+
+    const response = await axios({
+        url: `${PAYPAL_API_BASE}/v1/notifications/verify-webhook-signature`,
+        method: 'post',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${accessToken}`,
+        },
+        data,
+    });
+
+    return response.data?.verification_status === 'SUCCESS';
+}
+
+/**
+ * Check a webhook delivery's signature before trusting its body
+ * @param {Object} headers - Express req.headers (lowercased)
+ * @param {Buffer} rawBody - The request body exactly as received
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPayPalWebhook(headers, rawBody) {
+    const transmission = getTransmissionHeaders(headers);
+    if (!rawBody || !transmission.transmissionId || !transmission.transmissionTime || !transmission.transmissionSig) {
+        return false;
+    }
+
+    return process.env.PAYPAL_WEBHOOK_VERIFIER === 'local'
+        ? verifyLocalSignature(transmission, rawBody)
+        : verifyWithPayPal(transmission, rawBody);
+}
@@ -0,0 +1,79 @@
+import tiktokAdapter from './tiktok.js';
+import instagramAdapter from './instagram.js';
+import youtubeAdapter from './youtube.js';
+
+/**
+ * Every social platform adapter implements the same shape:
+ *   id                   - Stored as `platform` on campaigns and videos
+ *   displayName          - Human readable name for Discord messages
+ *   accountName          - Name of an account on the platform, e.g. "Instagram" for "your Instagram bio"
+ *   linkedAccountsField  - User document field holding the creator's verified accounts, keyed by getAuthorHandle
+ *   supportsSoundId      - Whether the platform reports the audio used in a post
+ *   isUrl(url)           - URL recognition
+ *   canonicalizeUrl(url) - Expands share links and strips tracking params
+ *   extractVideoId(url)  - Platform video ID for a canonical URL
+ *   getPostMetrics(url)  - Normalized video data (views, likes, author, musicId, ...)
+ *   getSoundId(video)    - Sound/audio ID from normalized video data
+ *   getAuthorHandle(video) - Creator handle from normalized video data
+ *   sanitizeHandle(handle) - Cleans a username typed into /link, throws if it can't be valid
+ *   getProfile(handle)   - { uniqueId, bio, profileImage, title, description } for account linking, or null
+ */
+const PLATFORM_ADAPTERS = {
+    [tiktokAdapter.id]: tiktokAdapter,
+    [instagramAdapter.id]: instagramAdapter,
+    [youtubeAdapter.id]: youtubeAdapter
+};
+
+// Campaigns and videos created before multi-platform support are TikTok only
+export const DEFAULT_PLATFORM = tiktokAdapter.id;
+
+export const SUPPORTED_PLATFORMS = Object.keys(PLATFORM_ADAPTERS);
+
+export function getPlatformAdapter(platformId) {
+    const adapter = PLATFORM_ADAPTERS[platformId || DEFAULT_PLATFORM];
+    if (!adapter) {
+        throw new Error(`Unsupported platform: ${platformId}`);
+    }
+    return adapter;
+}
+
+// Find the adapter that recognizes a URL, or null if no platform does
+export function detectPlatform(url) {
+    return Object.values(PLATFORM_ADAPTERS).find(adapter => adapter.isUrl(url)) || null;
+}
+
+export function getVideoPlatform(video) {
+    return video?.platform || DEFAULT_PLATFORM;
+}
+
+// Stable key for a video across platforms, e.g. "tiktok_7400000000000000001"
+export function getVideoKey(video) {
+    return `${getVideoPlatform(video)}_${video.id}`;
+}
+
+export function getCampaignPlatforms(campaign) {
+    if (Array.isArray(campaign?.platforms) && campaign.platforms.length > 0) {
+        return campaign.platforms.filter(platformId => PLATFORM_ADAPTERS[platformId]);
+    }
+    return [DEFAULT_PLATFORM];
+}
+
+export function campaignAcceptsPlatform(campaign, platformId) {
+    return getCampaignPlatforms(campaign).includes(platformId);
+}
+
+// Campaigns can set a sound per platform in `soundIds`; the legacy `soundId` is the TikTok sound
+export function getCampaignSoundId(campaign, platformId) {
+    const soundId = campaign?.soundIds?.[platformId];
+    if (soundId) {
+        return String(soundId);
+    }
+    if (platformId === DEFAULT_PLATFORM && campaign?.soundId) {
+        return String(campaign.soundId);
+    }
+    return null;
+}
+
+export function describePlatforms(platformIds) {
+    return platformIds.map(platformId => getPlatformAdapter(platformId).displayName).join(', ');
+}
@@ -0,0 +1,127 @@
+import { parseSafeUrl, hasUnsafeUrlContent, matchesDomain, videoUnavailableError, sanitizeHandle } from './shared.js';
+import { getMetricsProvider } from '../metricsProviders/index.js';
+
+const INSTAGRAM_DOMAINS = [
+    'instagram.com',
+    'www.instagram.com',
+    'm.instagram.com'
+];
+
+// Reels and regular posts, optionally prefixed with the creator's handle
+const INSTAGRAM_POST_PATTERN = /^\/(?:[a-z0-9._]+\/)?(reels?|p)\/([a-z0-9_-]+)\/?$/i;
+
+/**
+ * Validates if a URL points at an Instagram Reel or post
+ * @param {string} url - The URL to validate
+ * @returns {boolean} - True if valid Instagram post URL, false otherwise
+ */
+export function isInstagramUrl(url) {
+    try {
+        const safeUrl = parseSafeUrl(url);
+        if (!safeUrl) {
+            return false;
+        }
+
+        const { parsedUrl, trimmedUrl, hostname } = safeUrl;
+
+        if (!matchesDomain(hostname, INSTAGRAM_DOMAINS)) {
+            return false;
+        }
+
+        if (!INSTAGRAM_POST_PATTERN.test(parsedUrl.pathname)) {
+            return false;
+        }
+
+        return !hasUnsafeUrlContent(parsedUrl, trimmedUrl);
+    } catch (error) {
+        console.error('Error validating Instagram URL:', error);
+        return false;
+    }
+}
+
+function extractShortcode(url) {
+    const match = new URL(url).pathname.match(INSTAGRAM_POST_PATTERN);
+    if (!match || !match[2]) {
+        throw new Error('Could not extract video/photo ID from URL: ' + url);
+    }
+    return match[2];
+}
+
+async function canonicalizeUrl(url) {
+    return `https://www.instagram.com/reel/${extractShortcode(url)}/`;
+}
+
+export async function getInstagramVideoData(url) {
+    try {
+        const shortcode = extractShortcode(url);
+
+        const data = await getMetricsProvider().getPost('instagram', shortcode);
+        const post = data?.data;
+        if (!post) {
+            throw videoUnavailableError('instagram', shortcode);
+        }
+
+        const music = post?.clips_metadata?.music_info?.music_asset_info;
+        const originalSound = post?.clips_metadata?.original_sound_info;
+
+        return {
+            platform: 'instagram',
+            id: shortcode,
+            contentType: post?.is_video === false ? 'photo' : 'video',
+            title: post?.caption?.text?.split('\n')[0] || '',
+            author: post?.user ? {
+                nickname: post.user.full_name,
+                uniqueId: post.user.username
+            } : undefined,
+            views: post?.play_count || post?.ig_play_count || post?.video_view_count || 0,
+            shares: post?.share_count || 0,
+            comments: post?.comment_count || 0,
+            likes: post?.like_count || 0,
+            description: post?.caption?.text || '',
+            createdAt: post?.taken_at
+                ? new Date(post.taken_at * 1000).toISOString()
+                : '',
+            musicTitle: music?.title || originalSound?.original_audio_title || '',
+            musicAuthor: music?.display_artist || originalSound?.ig_artist?.username || '',
+            musicId: music?.audio_cluster_id || originalSound?.audio_asset_id || ''
+        };
+    } catch (error) {
+        console.error('Error fetching Instagram data:', error);
+        throw error;
+    }
+}
+
+// Profile used to verify a /link request; the bio has to contain the link token
+async function getInstagramProfile(username) {
+    const data = await getMetricsProvider().getUserInfo('instagram', username);
+    const user = data?.data;
+    if (!user?.username) {
+        return null;
+    }
+
+    return {
+        uniqueId: user.username,
+        bio: user.biography || '',
+        profileImage: user.profile_pic_url || '',
+        title: user.full_name || user.username,
+        description: user.biography || ''
+    };
+}
+
+const instagramAdapter = {
+    id: 'instagram',
+    displayName: 'Instagram Reels',
+    accountName: 'Instagram',
+    linkedAccountsField: 'instagramData',
+    supportsSoundId: true,
+    isUrl: isInstagramUrl,
+    canonicalizeUrl,
+    extractVideoId: extractShortcode,
+    getPostMetrics: getInstagramVideoData,
+    getSoundId: (videoData) => videoData?.musicId ? String(videoData.musicId) : null,
+    getAuthorHandle: (videoData) => videoData?.author?.uniqueId || null,
+    sanitizeHandle: (handle) => sanitizeHandle(handle, { accountName: 'Instagram', disallowed: /[^a-zA-Z0-9._]/g, minLength: 1, maxLength: 30 }),
+    getProfile: getInstagramProfile
+};
+
+export default instagramAdapter;
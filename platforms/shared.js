@@ -0,0 +1,159 @@
+// Helpers shared by every platform adapter
+
+// Thrown when a post is private, deleted or otherwise missing from the platform API
+export function videoUnavailableError(platformId, videoId) {
+    const error = new Error(`Video ${videoId} is unavailable on ${platformId}. It may be private or deleted.`);
+    error.code = 'VIDEO_UNAVAILABLE';
+    return error;
+}
+
+const DANGEROUS_HOSTS = [
+    'localhost', '127.0.0.1', '0.0.0.0', '::1', '::ffff:127.0.0.1',
+    '10.', '172.16.', '172.17.', '172.18.', '172.19.', '172.20.',
+    '172.21.', '172.22.', '172.23.', '172.24.', '172.25.', '172.26.',
+    '172.27.', '172.28.', '172.29.', '172.30.', '172.31.', '192.168.'
+];
+
+const DANGEROUS_CONTENT = [
+    '<script',
+    'javascript:',
+    'data:text/html',
+    'vbscript:',
+    'onload=',
+    'onerror=',
+    'onclick='
+];
+
+const containsDangerousContent = (value) => DANGEROUS_CONTENT.some(pattern => value.includes(pattern));
+
+/**
+ * Runs the platform-independent security checks on a submitted URL
+ * @param {string} url - The URL to parse
+ * @returns {{ parsedUrl: URL, trimmedUrl: string, hostname: string } | null} - Parsed URL, or null if unsafe
+ */
+export function parseSafeUrl(url) {
+    // Input validation
+    if (!url || typeof url !== 'string') {
+        return null;
+    }
+
+    // Trim whitespace and check for empty string after trimming
+    const trimmedUrl = url.trim();
+    if (trimmedUrl.length === 0) {
+        return null;
+    }
+
+    // Check for maximum length to prevent DoS attacks
+    if (trimmedUrl.length > 2048) {
+        return null;
+    }
+
+    // Parse the URL to validate structure
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(trimmedUrl);
+    } catch (error) {
+        return null;
+    }
+
+    // Security: Only allow HTTPS and HTTP protocols
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        return null;
+    }
+
+    // Security: Prevent protocol confusion attacks (e.g., javascript: URLs)
+    if (parsedUrl.protocol === 'http:' && !trimmedUrl.startsWith('http://')) {
+        return null;
+    }
+    if (parsedUrl.protocol === 'https:' && !trimmedUrl.startsWith('https://')) {
+        return null;
+    }
+
+    // Security: Check for null bytes or other dangerous characters
+    if (trimmedUrl.includes('\0') || trimmedUrl.includes('\u0000')) {
+        return null;
+    }
+
+    // Security: Prevent CRLF injection attempts
+    if (trimmedUrl.includes('\r') || trimmedUrl.includes('\n') || trimmedUrl.includes('\r\n')) {
+        return null;
+    }
+
+    // Security: Check for potential SSRF attempts (internal IPs, localhost, etc.)
+    const hostname = parsedUrl.hostname.toLowerCase();
+    for (const dangerousHost of DANGEROUS_HOSTS) {
+        if (hostname === dangerousHost || hostname.startsWith(dangerousHost)) {
+            return null;
+        }
+    }
+
+    // Security: Check for potential SSRF via IP addresses
+    const ipRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+    if (ipRegex.test(hostname)) {
+        return null;
+    }
+
+    return { parsedUrl, trimmedUrl, hostname };
+}
+
+/**
+ * Checks the query string, fragment and decoded forms of a URL for script injection
+ * @param {URL} parsedUrl - The parsed URL
+ * @param {string} trimmedUrl - The raw URL string
+ * @returns {boolean} - True if the URL carries anything that looks like an XSS payload
+ */
+export function hasUnsafeUrlContent(parsedUrl, trimmedUrl) {
+    // Security: Check for potential XSS in query parameters
+    const queryString = parsedUrl.search;
+    if (queryString && containsDangerousContent(queryString)) {
+        return true;
+    }
+
+    // Security: Validate fragment (hash) if present
+    if (parsedUrl.hash && containsDangerousContent(parsedUrl.hash.toLowerCase())) {
+        return true;
+    }
+
+    // Security: Check for URL encoding attacks
+    const decodedUrl = decodeURIComponent(trimmedUrl);
+    if (decodedUrl !== trimmedUrl && containsDangerousContent(decodedUrl)) {
+        return true;
+    }
+
+    // Security: Check for double encoding attacks
+    const doubleDecodedUrl = decodeURIComponent(decodeURIComponent(trimmedUrl));
+    if (doubleDecodedUrl !== trimmedUrl && containsDangerousContent(doubleDecodedUrl)) {
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Checks whether a hostname is one of the given domains or a subdomain of one
+ * @param {string} hostname - Lowercased hostname
+ * @param {string[]} domains - Allowed domains
+ * @returns {boolean}
+ */
+export function matchesDomain(hostname, domains) {
+    return domains.some(domain => hostname === domain || hostname.endsWith('.' + domain));
+}
+
+/**
+ * Cleans a username typed into /link: drops a leading @ and any character the platform doesn't allow
+ * @param {string} handle - The username as entered
+ * @param {{ accountName: string, disallowed: RegExp, minLength: number, maxLength: number }} rules - disallowed must be global
+ * @returns {string} - The cleaned username
+ */
+export function sanitizeHandle(handle, { accountName, disallowed, minLength, maxLength }) {
+    if (typeof handle !== 'string') {
+        throw new Error(`${accountName} username must be a string`);
+    }
+
+    const safe = handle.trim().replace(/^@/, '').replace(disallowed, '');
+    if (safe.length < minLength || safe.length > maxLength) {
+        throw new Error(`${accountName} username must be between ${minLength} and ${maxLength} valid characters`);
+    }
+
+    return safe;
+}
@@ -0,0 +1,399 @@
+import { parseSafeUrl, hasUnsafeUrlContent, matchesDomain, videoUnavailableError, sanitizeHandle } from './shared.js';
+import { getMetricsProvider } from '../metricsProviders/index.js';
+
+// Legitimate TikTok domains and their variations
+const TIKTOK_DOMAINS = [
+    'tiktok.com',
+    'www.tiktok.com',
+    'm.tiktok.com',
+    'vm.tiktok.com',
+    'vt.tiktok.com',
+    'us.tiktok.com',
+    'uk.tiktok.com',
+    'ca.tiktok.com',
+    'au.tiktok.com',
+    'de.tiktok.com',
+    'fr.tiktok.com',
+    'es.tiktok.com',
+    'it.tiktok.com',
+    'pt.tiktok.com',
+    'nl.tiktok.com',
+    'pl.tiktok.com',
+    'ru.tiktok.com',
+    'tr.tiktok.com',
+    'ar.tiktok.com',
+    'br.tiktok.com',
+    'mx.tiktok.com',
+    'co.tiktok.com',
+    'pe.tiktok.com',
+    'cl.tiktok.com',
+    've.tiktok.com',
+    'ec.tiktok.com',
+    'bo.tiktok.com',
+    'py.tiktok.com',
+    'uy.tiktok.com',
+    'ar.tiktok.com',
+    'ch.tiktok.com',
+    'at.tiktok.com',
+    'be.tiktok.com',
+    'dk.tiktok.com',
+    'fi.tiktok.com',
+    'gr.tiktok.com',
+    'hu.tiktok.com',
+    'ie.tiktok.com',
+    'il.tiktok.com',
+    'jp.tiktok.com',
+    'kr.tiktok.com',
+    'my.tiktok.com',
+    'no.tiktok.com',
+    'nz.tiktok.com',
+    'ph.tiktok.com',
+    'sg.tiktok.com',
+    'se.tiktok.com',
+    'th.tiktok.com',
+    'vn.tiktok.com',
+    'id.tiktok.com',
+    'in.tiktok.com',
+    'pk.tiktok.com',
+    'bd.tiktok.com',
+    'lk.tiktok.com',
+    'np.tiktok.com',
+    'mm.tiktok.com',
+    'kh.tiktok.com',
+    'la.tiktok.com',
+    'mn.tiktok.com',
+    'kz.tiktok.com',
+    'uz.tiktok.com',
+    'kg.tiktok.com',
+    'tj.tiktok.com',
+    'tm.tiktok.com',
+    'af.tiktok.com',
+    'ir.tiktok.com',
+    'iq.tiktok.com',
+    'sa.tiktok.com',
+    'ae.tiktok.com',
+    'qa.tiktok.com',
+    'kw.tiktok.com',
+    'bh.tiktok.com',
+    'om.tiktok.com',
+    'jo.tiktok.com',
+    'lb.tiktok.com',
+    'sy.tiktok.com',
+    'ps.tiktok.com',
+    'eg.tiktok.com',
+    'ly.tiktok.com',
+    'tn.tiktok.com',
+    'dz.tiktok.com',
+    'ma.tiktok.com',
+    'mr.tiktok.com',
+    'ml.tiktok.com',
+    'ne.tiktok.com',
+    'td.tiktok.com',
+    'sd.tiktok.com',
+    'et.tiktok.com',
+    'so.tiktok.com',
+    'dj.tiktok.com',
+    'ke.tiktok.com',
+    'tz.tiktok.com',
+    'ug.tiktok.com',
+    'rw.tiktok.com',
+    'bi.tiktok.com',
+    'mw.tiktok.com',
+    'zm.tiktok.com',
+    'zw.tiktok.com',
+    'na.tiktok.com',
+    'bw.tiktok.com',
+    'ls.tiktok.com',
+    'sz.tiktok.com',
+    'mg.tiktok.com',
+    'mu.tiktok.com',
+    'sc.tiktok.com',
+    'km.tiktok.com',
+    'yt.tiktok.com',
+    're.tiktok.com',
+    'mz.tiktok.com',
+    'ao.tiktok.com',
+    'gw.tiktok.com',
+    'cv.tiktok.com',
+    'gm.tiktok.com',
+    'gn.tiktok.com',
+    'sl.tiktok.com',
+    'lr.tiktok.com',
+    'ci.tiktok.com',
+    'gh.tiktok.com',
+    'tg.tiktok.com',
+    'bj.tiktok.com',
+    'ng.tiktok.com',
+    'cm.tiktok.com',
+    'gq.tiktok.com',
+    'ga.tiktok.com',
+    'cg.tiktok.com',
+    'cd.tiktok.com',
+    'cf.tiktok.com',
+    'st.tiktok.com',
+    'gq.tiktok.com',
+    'ao.tiktok.com',
+    'zm.tiktok.com',
+    'zw.tiktok.com',
+    'na.tiktok.com',
+    'bw.tiktok.com',
+    'ls.tiktok.com',
+    'sz.tiktok.com',
+    'mg.tiktok.com',
+    'mu.tiktok.com',
+    'sc.tiktok.com',
+    'km.tiktok.com',
+    'yt.tiktok.com',
+    're.tiktok.com',
+    'mz.tiktok.com',
+    'ao.tiktok.com',
+    'gw.tiktok.com',
+    'cv.tiktok.com',
+    'gm.tiktok.com',
+    'gn.tiktok.com',
+    'sl.tiktok.com',
+    'lr.tiktok.com',
+    'ci.tiktok.com',
+    'gh.tiktok.com',
+    'tg.tiktok.com',
+    'bj.tiktok.com',
+    'ng.tiktok.com',
+    'cm.tiktok.com',
+    'gq.tiktok.com',
+    'ga.tiktok.com',
+    'cg.tiktok.com',
+    'cd.tiktok.com',
+    'cf.tiktok.com',
+    'st.tiktok.com'
+];
+
+// Valid TikTok URL path patterns
+const TIKTOK_PATH_PATTERNS = [
+    // Video URLs
+    /^\/@[a-zA-Z0-9._-]+\/video\/\d+$/,
+    /^\/t\/[a-zA-Z0-9]+$/,
+    /^\/video\/\d+$/,
+
+    // Photo URLs
+    /^\/@[a-zA-Z0-9._-]+\/photo\/\d+$/,
+    /^\/photo\/\d+$/,
+
+    // User profile URLs
+    /^\/@[a-zA-Z0-9._-]+$/,
+    /^\/user\/[a-zA-Z0-9._-]+$/,
+
+    // Hashtag URLs
+    /^\/tag\/[a-zA-Z0-9._-]+$/,
+    /^\/hashtag\/[a-zA-Z0-9._-]+$/,
+
+    // Music URLs
+    /^\/music\/[a-zA-Z0-9._-]+$/,
+
+    // Live URLs
+    /^\/@[a-zA-Z0-9._-]+\/live$/,
+    /^\/live\/[a-zA-Z0-9._-]+$/,
+
+    // Collection URLs
+    /^\/collection\/[a-zA-Z0-9._-]+$/,
+
+    // Shortened TikTok URLs - various formats
+    /^\/[a-zA-Z0-9]{8,12}\/?$/,                    // vm.tiktok.com/ZNdyJyD4G/
+    /^\/[a-zA-Z0-9]{8,12}$/,                       // vm.tiktok.com/ZNdyJyD4G (no trailing slash)
+    /^\/[a-zA-Z0-9]{8,12}\?.*$/,                   // vm.tiktok.com/ZNdyJyD4G?param=value
+    /^\/[a-zA-Z0-9]{8,12}\/.*$/,                   // vm.tiktok.com/ZNdyJyD4G/extra
+    /^\/[a-zA-Z0-9]{8,12}\?.*\/.*$/,               // vm.tiktok.com/ZNdyJyD4G?param=value/extra
+
+    // Alternative shortened formats (less common but possible)
+    /^\/[a-zA-Z0-9]{6,15}\/?$/,                    // Allow slightly longer/shorter codes
+    /^\/[a-zA-Z0-9]{6,15}\?.*$/,                   // With query params
+    /^\/[a-zA-Z0-9]{6,15}\/.*$/,                   // With extra path
+
+    // Root path (for redirects)
+    /^\/$/
+];
+
+// Query parameters TikTok share links are allowed to carry
+const SAFE_QUERY_PARAMS = [
+    'lang', 'region', 'is_copy_url', 'is_from_webapp', 'sender_device', 
+    'sender_web_id', 'share_app_name', 'share_link_id', 'share_method', 
+    'timestamp', 'tt_from', 'u_code', 'user_id', 'webcast_id', 'msToken',
+    'X-Bogus', '_signature', 'aid', 'app_name', 'channel', 'device_platform',
+    'iid', 'manifest_version_code', 'resolution', 'update_version_code',
+    '_d', '_r', '_svg', 'checksum', 'cover_exp', 'link_reflow_popup_iteration_sharer',
+    'preview_pb', 'sec_user_id', 'share_app_id', 'share_item_id', 'share_scene',
+    'sharer_language', 'social_share_type', 'source', 'ug_btm', 'ug_photo_idx',
+    'utm_campaign', 'utm_medium', 'utm_source', 'from_page', 'refer', 'referer',
+    'enter_from', 'enter_method', 'is_from_share', 'checksum_pl', 'mid'
+];
+
+/**
+ * Validates if a URL is a legitimate TikTok URL with comprehensive security checks
+ * @param {string} url - The URL to validate
+ * @returns {boolean} - True if valid TikTok URL, false otherwise
+ */
+export function isTikTokUrl(url) {
+    try {
+        const safeUrl = parseSafeUrl(url);
+        if (!safeUrl) {
+            return false;
+        }
+
+        const { parsedUrl, trimmedUrl, hostname } = safeUrl;
+
+        // Check if hostname matches any valid TikTok domain
+        if (!matchesDomain(hostname, TIKTOK_DOMAINS)) {
+            return false;
+        }
+
+        // Security: Validate path structure for TikTok URLs
+        const pathname = parsedUrl.pathname.toLowerCase();
+        if (!TIKTOK_PATH_PATTERNS.some(pattern => pattern.test(pathname))) {
+            return false;
+        }
+
+        // Security: Validate query parameters (only allow safe ones)
+        const queryParams = Array.from(parsedUrl.searchParams.keys());
+        if (queryParams.some(param => !SAFE_QUERY_PARAMS.includes(param))) {
+            return false;
+        }
+
+        // If all checks pass, it's a valid TikTok URL
+        return !hasUnsafeUrlContent(parsedUrl, trimmedUrl);
+
+    } catch (error) {
+        // If any error occurs during validation, reject the URL
+        console.error('Error validating TikTok URL:', error);
+        return false;
+    }
+}
+
+export function isShortenedTikTokUrl(url) {
+    const lowerUrl = url.toLowerCase();
+    const fullVideoPattern = /tiktok\.com\/@[^\/]+\/video\/\d+/;
+    const fullPhotoPattern = /tiktok\.com\/@[^\/]+\/photo\/\d+/;
+    const shortenedPatterns = [
+        /tiktok\.com\/t\//,
+        /vm\.tiktok\.com/,
+        /vt\.tiktok\.com/,
+        /tiktok\.com\/v\//
+    ];
+
+    // A URL is shortened if it matches a shortened pattern AND is not a full video/photo pattern
+    return shortenedPatterns.some(pattern => pattern.test(lowerUrl)) &&
+           !fullVideoPattern.test(lowerUrl) &&
+           !fullPhotoPattern.test(lowerUrl);
+}
+
+export async function expandTikTokUrl(url) {
+    try {
+        return await getMetricsProvider().resolveShortUrl(url);
+    } catch (error) {
+        console.error('Error expanding TikTok URL:', error);
+        throw new Error('Error processing video URL. Shortened TikTok URLs can be unreliable. Please use the full video URL instead.');
+    }
+}
+
+function extractVideoId(url) {
+    // Handles both videos and photo posts
+    const idMatch = url.match(/\/(video|photo)\/(\d+)/);
+    if (!idMatch || !idMatch[2]) {
+        throw new Error('Could not extract video/photo ID from URL: ' + url);
+    }
+    return { contentType: idMatch[1], id: idMatch[2] };
+}
+
+async function canonicalizeUrl(url) {
+    const fullUrl = isShortenedTikTokUrl(url) ? await expandTikTokUrl(url) : url;
+    const { contentType, id } = extractVideoId(fullUrl);
+    const handleMatch = fullUrl.match(/\/@([^\/?#]+)\//);
+
+    // Drop share-tracking query params so the same post always maps to the same URL
+    return handleMatch
+        ? `https://www.tiktok.com/@${handleMatch[1]}/${contentType}/${id}`
+        : `https://www.tiktok.com/${contentType}/${id}`;
+}
+
+export async function getTikTokVideoData(url) {
+    try {
+        // Follow shortened /t/, vt.tiktok.com and vm.tiktok.com links to the full URL
+        if (isShortenedTikTokUrl(url)) {
+            try {
+                url = await expandTikTokUrl(url);
+            } catch (error) {
+                throw new Error('Could not resolve shortened URL. Please use the full video URL.');
+            }
+        }
+
+        const { contentType, id: contentId } = extractVideoId(url);
+
+        const data = await getMetricsProvider().getPost('tiktok', contentId);
+        if (!data?.itemInfo?.itemStruct) {
+            throw videoUnavailableError('tiktok', contentId);
+        }
+
+        // Extract the metrics we care about
+        const stats = data?.itemInfo?.itemStruct?.stats;
+        const music = data?.itemInfo?.itemStruct?.music;
+        const author = data?.itemInfo?.itemStruct?.author;
+
+        return {
+            platform: 'tiktok',
+            id: contentId,
+            contentType: contentType, // Distinguishes between videos and photos
+            title: data?.shareMeta?.title || '',
+            author: author ? {
+                nickname: author.nickname,
+                uniqueId: author.uniqueId
+            } : undefined,
+            views: stats?.playCount || 0,
+            shares: stats?.shareCount || 0,
+            comments: stats?.commentCount || 0,
+            likes: stats?.diggCount || 0,
+            description: data?.itemInfo?.itemStruct?.desc || '',
+            createdAt: data?.itemInfo?.itemStruct?.createTime
+                ? new Date(data.itemInfo.itemStruct.createTime * 1000).toISOString()
+                : '',
+            musicTitle: music?.title || '',
+            musicAuthor: music?.authorName || '',
+            musicId: music?.id || ''
+        };
+    } catch (error) {
+        console.error('Error fetching TikTok data:', error);
+        throw error;
+    }
+}
+
+// Profile used to verify a /link request; the bio has to contain the link token
+async function getTikTokProfile(uniqueId) {
+    const data = await getMetricsProvider().getUserInfo('tiktok', uniqueId);
+    const user = data?.userInfo?.user;
+    if (!user?.uniqueId) {
+        return null;
+    }
+
+    return {
+        uniqueId: user.uniqueId,
+        bio: user.signature || '',
+        profileImage: user.avatarThumb || '',
+        title: data.shareMeta?.title || user.nickname || '',
+        description: data.shareMeta?.desc || user.signature || ''
+    };
+}
+
+const tiktokAdapter = {
+    id: 'tiktok',
+    displayName: 'TikTok',
+    accountName: 'TikTok',
+    linkedAccountsField: 'tiktokData',
+    supportsSoundId: true,
+    isUrl: isTikTokUrl,
+    canonicalizeUrl,
+    extractVideoId: (url) => extractVideoId(url).id,
+    getPostMetrics: getTikTokVideoData,
+    getSoundId: (videoData) => videoData?.musicId || null,
+    getAuthorHandle: (videoData) => videoData?.author?.uniqueId || null,
+    sanitizeHandle: (handle) => sanitizeHandle(handle, { accountName: 'TikTok', disallowed: /[^a-zA-Z0-9._]/g, minLength: 4, maxLength: 24 }),
+    getProfile: getTikTokProfile
+};
+
+export default tiktokAdapter;
@@ -0,0 +1,146 @@
+import { parseSafeUrl, hasUnsafeUrlContent, matchesDomain, videoUnavailableError, sanitizeHandle } from './shared.js';
+import { getMetricsProvider } from '../metricsProviders/index.js';
+
+const YOUTUBE_DOMAINS = [
+    'youtube.com',
+    'www.youtube.com',
+    'm.youtube.com',
+    'youtu.be'
+];
+
+const YOUTUBE_VIDEO_ID = /^[a-zA-Z0-9_-]{11}$/;
+
+function findVideoId(parsedUrl) {
+    const hostname = parsedUrl.hostname.toLowerCase();
+    const segments = parsedUrl.pathname.split('/').filter(Boolean);
+
+    if (hostname === 'youtu.be') {
+        return segments[0];
+    }
+    if (segments[0] === 'shorts' || segments[0] === 'embed') {
+        return segments[1];
+    }
+    if (segments[0] === 'watch') {
+        return parsedUrl.searchParams.get('v');
+    }
+    return null;
+}
+
+/**
+ * Validates if a URL points at a YouTube Short or video
+ * @param {string} url - The URL to validate
+ * @returns {boolean} - True if valid YouTube video URL, false otherwise
+ */
+export function isYouTubeUrl(url) {
+    try {
+        const safeUrl = parseSafeUrl(url);
+        if (!safeUrl) {
+            return false;
+        }
+
+        const { parsedUrl, trimmedUrl, hostname } = safeUrl;
+
+        if (!matchesDomain(hostname, YOUTUBE_DOMAINS)) {
+            return false;
+        }
+
+        if (!YOUTUBE_VIDEO_ID.test(findVideoId(parsedUrl) || '')) {
+            return false;
+        }
+
+        return !hasUnsafeUrlContent(parsedUrl, trimmedUrl);
+    } catch (error) {
+        console.error('Error validating YouTube URL:', error);
+        return false;
+    }
+}
+
+function extractVideoId(url) {
+    const videoId = findVideoId(new URL(url));
+    if (!videoId || !YOUTUBE_VIDEO_ID.test(videoId)) {
+        throw new Error('Could not extract video/photo ID from URL: ' + url);
+    }
+    return videoId;
+}
+
+async function canonicalizeUrl(url) {
+    return `https://www.youtube.com/shorts/${extractVideoId(url)}`;
+}
+
+export async function getYouTubeVideoData(url) {
+    try {
+        const videoId = extractVideoId(url);
+
+        const { video, channel } = await getMetricsProvider().getPost('youtube', videoId);
+        if (!video) {
+            throw videoUnavailableError('youtube', videoId);
+        }
+
+        const snippet = video.snippet;
+        const stats = video.statistics;
+        const customUrl = channel?.snippet?.customUrl;
+
+        return {
+            platform: 'youtube',
+            id: videoId,
+            contentType: 'video',
+            title: snippet?.title || '',
+            author: snippet ? {
+                nickname: snippet.channelTitle,
+                uniqueId: customUrl ? customUrl.replace(/^@/, '').toLowerCase() : snippet.channelId
+            } : undefined,
+            views: Number(stats?.viewCount) || 0,
+            // The Data API does not expose share counts
+            shares: 0,
+            comments: Number(stats?.commentCount) || 0,
+            likes: Number(stats?.likeCount) || 0,
+            description: snippet?.description || '',
+            createdAt: snippet?.publishedAt || '',
+            // Shorts audio is not exposed by the Data API
+            musicTitle: '',
+            musicAuthor: '',
+            musicId: ''
+        };
+    } catch (error) {
+        console.error('Error fetching YouTube data:', error);
+        throw error;
+    }
+}
+
+// Profile used to verify a /link request; the channel description has to contain the link token
+async function getYouTubeProfile(handle) {
+    const data = await getMetricsProvider().getUserInfo('youtube', handle);
+    const channel = data?.items?.[0];
+    if (!channel?.snippet) {
+        return null;
+    }
+
+    const { snippet } = channel;
+    return {
+        // Same form as getAuthorHandle on the channel's videos
+        uniqueId: snippet.customUrl ? snippet.customUrl.replace(/^@/, '').toLowerCase() : channel.id,
+        bio: snippet.description || '',
+        profileImage: snippet.thumbnails?.default?.url || '',
+        title: snippet.title || '',
+        description: snippet.description || ''
+    };
+}
+
+const youtubeAdapter = {
+    id: 'youtube',
+    displayName: 'YouTube Shorts',
+    accountName: 'YouTube',
+    linkedAccountsField: 'youtubeData',
+    supportsSoundId: false,
+    isUrl: isYouTubeUrl,
+    canonicalizeUrl,
+    extractVideoId,
+    getPostMetrics: getYouTubeVideoData,
+    getSoundId: () => null,
+    getAuthorHandle: (videoData) => videoData?.author?.uniqueId || null,
+    // Handles are case-insensitive and stored lowercased, like getAuthorHandle
+    sanitizeHandle: (handle) => sanitizeHandle(handle, { accountName: 'YouTube', disallowed: /[^a-zA-Z0-9._-]/g, minLength: 3, maxLength: 30 }).toLowerCase(),
+    getProfile: getYouTubeProfile
+};
+
+export default youtubeAdapter;
@@ -16,7 +16,11 @@ async function exportCampaignData(campaignId) {
             process.exit(1);
         }
 
-        const data = doc.data();
+        const submissionsSnapshot = await campaignRef.collection('submissions').get();
+        const data = {
+            ...doc.data(),
+            submissions: submissionsSnapshot.docs.map(submission => ({ submissionId: submission.id, ...submission.data() }))
+        };
         console.log(JSON.stringify(data, null, 2));
     } catch (error) {
         console.error('Error fetching campaign data:', error);
@@ -0,0 +1,104 @@
+import { db, FieldValue } from '../firebaseAdmin.js';
+import { getPlatformAdapter, getVideoPlatform } from '../platforms/index.js';
+import { getSubmissionId, getSubmissionRef } from '../submissions.js';
+
+// Moves each campaign's `videos` array into campaigns/{id}/submissions documents,
+// sets `submissionCount` and removes the array. Run with --dry-run first.
+const isDryRun = process.argv.includes('--dry-run');
+
+// Firestore batches are limited to 500 writes
+const MAX_BATCH_WRITES = 500;
+
+function withVideoId(video) {
+    if (video.id) {
+        return video;
+    }
+    // Older entries may be missing the ID, recover it from the URL
+    const id = getPlatformAdapter(getVideoPlatform(video)).extractVideoId(video.url);
+    return { ...video, id };
+}
+
+async function migrateCampaign(campaignDoc) {
+    const campaignId = campaignDoc.id;
+    const videos = campaignDoc.data().videos || [];
+
+    const submissions = new Map();
+    const skipped = [];
+    const unmigratable = [];
+
+    for (const video of videos) {
+        try {
+            const submission = withVideoId({ ...video, platform: getVideoPlatform(video) });
+            const submissionId = getSubmissionId(submission);
+
+            if (submissions.has(submissionId)) {
+                skipped.push({ url: video.url, reason: `Duplicate of ${submissionId}` });
+                continue;
+            }
+            submissions.set(submissionId, { ...submission, campaignId });
+        } catch (error) {
+            skipped.push({ url: video.url, reason: error.message });
+            unmigratable.push(video);
+        }
+    }
+
+    console.log(`Campaign ${campaignId}: ${videos.length} videos -> ${submissions.size} submissions, ${skipped.length} skipped`);
+    skipped.forEach(({ url, reason }) => console.log(`   ⚠️  Skipped ${url}: ${reason}`));
+
+    if (isDryRun) {
+        return { submissions: submissions.size, skipped: skipped.length };
+    }
+
+    const entries = Array.from(submissions.entries());
+    for (let i = 0; i < entries.length; i += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        entries.slice(i, i + MAX_BATCH_WRITES).forEach(([submissionId, submission]) => {
+            // merge keeps fields written by the live bot if a submission already exists
+            batch.set(getSubmissionRef(campaignId, submissionId), submission, { merge: true });
+        });
+        await batch.commit();
+    }
+
+    // Count what is actually in the subcollection in case submissions already existed
+    const countSnapshot = await db.collection('campaigns').doc(campaignId).collection('submissions').count().get();
+
+    // Keep unmigratable entries on the campaign so nothing is lost
+    await campaignDoc.ref.update({
+        submissionCount: countSnapshot.data().count,
+        videos: unmigratable.length ? unmigratable : FieldValue.delete(),
+        submissionsMigratedAt: Date.now()
+    });
+
+    return { submissions: submissions.size, skipped: skipped.length };
+}
+
+async function migrateAllCampaigns() {
+    console.log(isDryRun ? 'DRY RUN - no data will be written' : 'Migrating campaign videos to submissions');
+
+    const campaignsSnapshot = await db.collection('campaigns').get();
+    const campaignsWithVideos = campaignsSnapshot.docs.filter(doc => (doc.data().videos || []).length > 0);
+
+    console.log(`Found ${campaignsWithVideos.length} campaigns with a videos array`);
+
+    let totalSubmissions = 0;
+    let totalSkipped = 0;
+
+    for (const campaignDoc of campaignsWithVideos) {
+        try {
+            const { submissions, skipped } = await migrateCampaign(campaignDoc);
+            totalSubmissions += submissions;
+            totalSkipped += skipped;
+        } catch (error) {
+            console.error(`❌ Failed to migrate campaign ${campaignDoc.id}:`, error);
+        }
+    }
+
+    console.log(`\nDone! ${totalSubmissions} submissions ${isDryRun ? 'would be written' : 'written'}, ${totalSkipped} videos skipped.`);
+}
+
+// node scripts/migrateCampaignVideosToSubmissions.js [--dry-run]
+migrateAllCampaigns()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exit(1);
+    });
@@ -0,0 +1,127 @@
+import { db } from '../firebaseAdmin.js';
+import { toMinorUnits, DEFAULT_CURRENCY, MINOR_UNIT } from '../money.js';
+
+// Converts decimal money fields to integer minor units and marks them as converted:
+//   users.wallet, transactions.amount (and metadata amounts), submissions earnings fields.
+// Documents that already carry the unit marker are skipped, so it is safe to re-run. Run with --dry-run first.
+const isDryRun = process.argv.includes('--dry-run');
+
+// Firestore batches are limited to 500 writes
+const MAX_BATCH_WRITES = 500;
+
+const EARNINGS_FIELDS = ['earnings', 'earningsBeforeBudgetCap', 'earningsLostToBudgetCap'];
+const TRANSACTION_METADATA_FIELDS = ['walletAmount', 'netAmount'];
+
+function convert(value, currency) {
+    return value === undefined || value === null || value === '' ? value : toMinorUnits(value, currency);
+}
+
+async function writeInBatches(updates) {
+    if (isDryRun) {
+        return;
+    }
+    for (let i = 0; i < updates.length; i += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        updates.slice(i, i + MAX_BATCH_WRITES).forEach(({ ref, data }) => batch.update(ref, data));
+        await batch.commit();
+    }
+}
+
+async function migrateWallets() {
+    const snapshot = await db.collection('users').get();
+    const updates = [];
+
+    snapshot.docs.forEach(doc => {
+        const user = doc.data();
+        if (user.walletUnit === MINOR_UNIT) {
+            return;
+        }
+        const currency = user.walletCurrency || DEFAULT_CURRENCY;
+        const data = {
+            wallet: convert(user.wallet, currency) ?? 0,
+            walletCurrency: currency,
+            walletUnit: MINOR_UNIT
+        };
+        if (typeof user.lastPayoutAmount === 'number') {
+            data.lastPayoutAmount = toMinorUnits(user.lastPayoutAmount, currency);
+        }
+        console.log(`   User ${doc.id}: wallet ${user.wallet ?? 0} -> ${data.wallet}`);
+        updates.push({ ref: doc.ref, data });
+    });
+
+    await writeInBatches(updates);
+    return updates.length;
+}
+
+async function migrateTransactions() {
+    const snapshot = await db.collection('transactions').get();
+    const updates = [];
+
+    snapshot.docs.forEach(doc => {
+        const transaction = doc.data();
+        if (transaction.amountUnit === MINOR_UNIT) {
+            return;
+        }
+        const currency = transaction.currency || DEFAULT_CURRENCY;
+        const data = {
+            amount: convert(transaction.amount, currency) ?? 0,
+            currency,
+            amountUnit: MINOR_UNIT
+        };
+        TRANSACTION_METADATA_FIELDS
+            .filter(field => typeof transaction.metadata?.[field] === 'number')
+            .forEach(field => { data[`metadata.${field}`] = toMinorUnits(transaction.metadata[field], currency); });
+
+        console.log(`   Transaction ${doc.id} (${transaction.type}): amount ${transaction.amount} -> ${data.amount}`);
+        updates.push({ ref: doc.ref, data });
+    });
+
+    await writeInBatches(updates);
+    return updates.length;
+}
+
+async function migrateSubmissionEarnings() {
+    const campaignsSnapshot = await db.collection('campaigns').get();
+    const campaignCurrencies = new Map(campaignsSnapshot.docs.map(doc => [doc.id, doc.data().currency || DEFAULT_CURRENCY]));
+
+    const snapshot = await db.collectionGroup('submissions').get();
+    const updates = [];
+
+    snapshot.docs.forEach(doc => {
+        const submission = doc.data();
+        if (submission.earningsUnit === MINOR_UNIT) {
+            return;
+        }
+        const currency = submission.earningsCurrency || campaignCurrencies.get(doc.ref.parent.parent.id) || DEFAULT_CURRENCY;
+        const data = { earningsCurrency: currency, earningsUnit: MINOR_UNIT };
+        EARNINGS_FIELDS
+            .filter(field => submission[field] !== undefined && submission[field] !== null)
+            .forEach(field => { data[field] = toMinorUnits(submission[field], currency); });
+
+        updates.push({ ref: doc.ref, data });
+    });
+
+    await writeInBatches(updates);
+    return updates.length;
+}
+
+async function migrateMoney() {
+    console.log(isDryRun ? 'DRY RUN - no data will be written' : 'Converting money fields to minor units');
+
+    console.log('\nWallets:');
+    const wallets = await migrateWallets();
+
+    console.log('\nTransactions:');
+    const transactions = await migrateTransactions();
+
+    const submissions = await migrateSubmissionEarnings();
+
+    console.log(`\nDone! ${wallets} wallets, ${transactions} transactions and ${submissions} submissions ${isDryRun ? 'would be converted' : 'converted'}.`);
+}
+
+// node scripts/migrateMoneyToMinorUnits.js [--dry-run]
+migrateMoney()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exit(1);
+    });
@@ -0,0 +1,43 @@
+import { db } from '../firebaseAdmin.js';
+import { seedOpeningBalance } from '../ledger.js';
+import { readWallet, formatMoney } from '../money.js';
+
+// Wallet balances from before the ledger have no entries explaining them, so reconciliation would flag them.
+// Records each non-empty wallet as an opening balance entry; users that already have ledger entries are skipped.
+// Run scripts/migrateMoneyToMinorUnits.js first.
+const isDryRun = process.argv.includes('--dry-run');
+
+async function seedLedgerOpeningBalances() {
+    console.log(isDryRun ? 'DRY RUN - no data will be written' : 'Seeding ledger opening balances');
+
+    const usersSnapshot = await db.collection('users').get();
+    let seeded = 0;
+
+    for (const doc of usersSnapshot.docs) {
+        const wallet = readWallet(doc.data());
+        if (wallet.amount <= 0) {
+            continue;
+        }
+
+        if (isDryRun) {
+            console.log(`   ${doc.id}: ${formatMoney(wallet.amount, wallet.currency)}`);
+            seeded++;
+            continue;
+        }
+
+        const amount = await seedOpeningBalance(doc.id);
+        if (amount !== null) {
+            console.log(`   ${doc.id}: ${formatMoney(amount, wallet.currency)}`);
+            seeded++;
+        }
+    }
+
+    console.log(`\nDone! ${seeded} opening balance(s) ${isDryRun ? 'would be seeded (users with ledger entries are skipped on a real run)' : 'seeded'}.`);
+}
+
+// node scripts/seedLedgerOpeningBalances.js [--dry-run]
+seedLedgerOpeningBalances()
+    .catch(err => {
+        console.error('Seeding failed:', err);
+        process.exit(1);
+    });
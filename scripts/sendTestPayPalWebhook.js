@@ -0,0 +1,81 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import axios from 'axios';
+import { signLocalWebhookEvent } from '../paypalWebhooks.js';
+
+// Sends a PayPal payouts webhook signed with PAYPAL_WEBHOOK_LOCAL_SECRET to a server running with
+// PAYPAL_WEBHOOK_VERIFIER=local. Pass the same eventId twice to check duplicate handling.
+// Item statuses: SUCCESS, FAILED, RETURNED, UNCLAIMED, BLOCKED, REFUNDED, REVERSED, ONHOLD; DENIED sends a batch event.
+const ITEM_EVENT_TYPES = {
+    SUCCESS: 'PAYMENT.PAYOUTS-ITEM.SUCCEEDED',
+    FAILED: 'PAYMENT.PAYOUTS-ITEM.FAILED',
+    RETURNED: 'PAYMENT.PAYOUTS-ITEM.RETURNED',
+    UNCLAIMED: 'PAYMENT.PAYOUTS-ITEM.UNCLAIMED',
+    BLOCKED: 'PAYMENT.PAYOUTS-ITEM.BLOCKED',
+    REFUNDED: 'PAYMENT.PAYOUTS-ITEM.REFUNDED',
+    REVERSED: 'PAYMENT.PAYOUTS-ITEM.REVERSED',
+    ONHOLD: 'PAYMENT.PAYOUTS-ITEM.HELD'
+};
+
+function buildEvent(payoutBatchId, senderItemId, status, eventId) {
+    if (status === 'DENIED') {
+        return {
+            id: eventId,
+            event_type: 'PAYMENT.PAYOUTSBATCH.DENIED',
+            create_time: new Date().toISOString(),
+            resource: {
+                batch_header: { payout_batch_id: payoutBatchId, batch_status: 'DENIED' }
+            }
+        };
+    }
+
+    const eventType = ITEM_EVENT_TYPES[status];
+    if (!eventType) {
+        throw new Error(`Unknown status: ${status}`);
+    }
+
+    return {
+        id: eventId,
+        event_type: eventType,
+        create_time: new Date().toISOString(),
+        resource: {
+            payout_item_id: `ITEM-${payoutBatchId}`,
+            payout_batch_id: payoutBatchId,
+            transaction_status: status,
+            payout_item: { sender_item_id: senderItemId },
+            ...(status === 'SUCCESS' || status === 'ONHOLD' || status === 'UNCLAIMED'
+                ? {}
+                : { errors: { name: status, message: `Test ${status.toLowerCase()} payout` } })
+        }
+    };
+}
+
+async function sendTestWebhook() {
+    const [payoutBatchId, senderItemId, status = 'SUCCESS', eventId = `WH-TEST-${crypto.randomUUID()}`] = process.argv.slice(2);
+    if (!payoutBatchId || !senderItemId) {
+        throw new Error('Usage: node scripts/sendTestPayPalWebhook.js <payoutBatchId> <senderItemId> [status] [eventId]');
+    }
+
+    const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 8080}/webhooks/paypal`;
+    const rawBody = JSON.stringify(buildEvent(payoutBatchId, senderItemId, status.toUpperCase(), eventId));
+
+    const response = await axios({
+        url,
+        method: 'post',
+        headers: {
+            'Content-Type': 'application/json',
+            ...signLocalWebhookEvent(Buffer.from(rawBody))
+        },
+        data: rawBody,
+        validateStatus: () => true
+    });
+
+    console.log(`${eventId} -> ${response.status}`, response.data);
+}
+
+// node scripts/sendTestPayPalWebhook.js <payoutBatchId> <senderItemId> [status] [eventId]
+sendTestWebhook()
+    .catch(err => {
+        console.error('Sending test webhook failed:', err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,211 @@
+import { db, FieldValue } from './firebaseAdmin.js';
+import { getVideoKey } from './platforms/index.js';
+import { hasCampaignStarted, hasCampaignEnded, wasVideoPostedBeforeStart } from './campaignSchedule.js';
+
+// Firestore batches are limited to 500 writes
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Campaign submissions live in campaigns/{campaignId}/submissions, one document
+ * per video keyed by platform and video ID (e.g. "tiktok_7400000000000000001").
+ * The campaign document only keeps aggregates such as `submissionCount`.
+ */
+export function submissionsCollection(campaignId) {
+    return db.collection('campaigns').doc(campaignId).collection('submissions');
+}
+
+export function getSubmissionId(video) {
+    return getVideoKey(video);
+}
+
+export function getSubmissionRef(campaignId, submissionId) {
+    return submissionsCollection(campaignId).doc(submissionId);
+}
+
+// All submissions for a campaign, with the document ID as `submissionId`
+export async function getCampaignSubmissions(campaignId) {
+    const snapshot = await submissionsCollection(campaignId).get();
+    return snapshot.docs.map(doc => ({ ...doc.data(), submissionId: doc.id }));
+}
+
+// Reasons acceptSubmission can turn a submission away
+export const SUBMISSION_REJECTION_REASONS = Object.freeze({
+    CAMPAIGN_NOT_FOUND: 'CAMPAIGN_NOT_FOUND',
+    CAMPAIGN_COMPLETE: 'CAMPAIGN_COMPLETE',
+    MAX_SUBMISSIONS_REACHED: 'MAX_SUBMISSIONS_REACHED',
+    CREATOR_LIMIT_REACHED: 'CREATOR_LIMIT_REACHED',
+    DUPLICATE_SUBMISSION: 'DUPLICATE_SUBMISSION',
+    CAMPAIGN_NOT_STARTED: 'CAMPAIGN_NOT_STARTED',
+    CAMPAIGN_ENDED: 'CAMPAIGN_ENDED',
+    VIDEO_POSTED_BEFORE_START: 'VIDEO_POSTED_BEFORE_START'
+});
+
+function hasLimit(limit) {
+    return limit !== undefined && limit !== null && limit !== '' && Number(limit) > 0;
+}
+
+/**
+ * Store a new submission if the campaign can still take it. Completion, the start and
+ * end dates, the campaign cap, duplicates and the per-creator limit are all re-checked inside
+ * a transaction, so two creators submitting at once can't both squeeze past the cap.
+ * @param {string} campaignId - Campaign document ID
+ * @param {Object} submissionData - Submission fields, including platform, id, url and author_id
+ * @returns {Promise<{ accepted: true, submissionId: string } | { accepted: false, reason: string }>}
+ */
+export async function acceptSubmission(campaignId, submissionData) {
+    const campaignRef = db.collection('campaigns').doc(campaignId);
+    const submissionId = getSubmissionId(submissionData);
+    const submissionRef = getSubmissionRef(campaignId, submissionId);
+
+    return db.runTransaction(async (transaction) => {
+        const campaignDoc = await transaction.get(campaignRef);
+        if (!campaignDoc.exists) {
+            return { accepted: false, reason: SUBMISSION_REJECTION_REASONS.CAMPAIGN_NOT_FOUND };
+        }
+
+        const campaign = campaignDoc.data();
+        if (campaign.isComplete) {
+            return { accepted: false, reason: SUBMISSION_REJECTION_REASONS.CAMPAIGN_COMPLETE };
+        }
+        if (!hasCampaignStarted(campaign)) {
+            return { accepted: false, reason: SUBMISSION_REJECTION_REASONS.CAMPAIGN_NOT_STARTED };
+        }
+        // The closing cron may not have run yet
+        if (hasCampaignEnded(campaign)) {
+            return { accepted: false, reason: SUBMISSION_REJECTION_REASONS.CAMPAIGN_ENDED };
+        }
+        if (wasVideoPostedBeforeStart(submissionData.createdAt, campaign)) {
+            return { accepted: false, reason: SUBMISSION_REJECTION_REASONS.VIDEO_POSTED_BEFORE_START };
+        }
+
+        const existingSubmission = await transaction.get(submissionRef);
+        const sameUrlSubmissions = await transaction.get(
+            submissionsCollection(campaignId).where('url', '==', submissionData.url).limit(1)
+        );
+        if (existingSubmission.exists || !sameUrlSubmissions.empty) {
+            return { accepted: false, reason: SUBMISSION_REJECTION_REASONS.DUPLICATE_SUBMISSION };
+        }
+
+        if (hasLimit(campaign.maxSubmissions) && (campaign.submissionCount || 0) >= Number(campaign.maxSubmissions)) {
+            return { accepted: false, reason: SUBMISSION_REJECTION_REASONS.MAX_SUBMISSIONS_REACHED };
+        }
+
+        if (hasLimit(campaign.maxSubmissionsPerCreator)) {
+            const creatorSubmissions = await transaction.get(
+                submissionsCollection(campaignId).where('author_id', '==', submissionData.author_id)
+            );
+            if (creatorSubmissions.size >= Number(campaign.maxSubmissionsPerCreator)) {
+                return { accepted: false, reason: SUBMISSION_REJECTION_REASONS.CREATOR_LIMIT_REACHED };
+            }
+        }
+
+        transaction.create(submissionRef, {
+            ...submissionData,
+            campaignId
+        });
+        // Every acceptance writes the campaign doc, so concurrent transactions conflict and retry
+        transaction.update(campaignRef, {
+            submissionCount: FieldValue.increment(1)
+        });
+
+        return { accepted: true, submissionId };
+    });
+}
+
+/**
+ * Approve or reject a pending submission, recording who decided and when
+ * @param {string} campaignId - Campaign document ID
+ * @param {string} submissionId - Submission document ID
+ * @param {Object} decision
+ * @param {'approved'|'rejected'} decision.status - New status
+ * @param {string} decision.reviewerId - Firebase user ID of the reviewer
+ * @param {string} [decision.reviewerDiscordId] - Discord ID of the reviewer
+ * @param {string} [decision.reason] - Rejection reason shown to the creator
+ * @returns {Promise<{ success: boolean, error: string|null }>}
+ */
+export async function reviewSubmission(campaignId, submissionId, { status, reviewerId, reviewerDiscordId = null, reason = null }) {
+    if (!['approved', 'rejected'].includes(status)) {
+        return { success: false, error: `Invalid review status: ${status}` };
+    }
+
+    const submissionRef = getSubmissionRef(campaignId, submissionId);
+
+    return db.runTransaction(async (transaction) => {
+        const submissionDoc = await transaction.get(submissionRef);
+        if (!submissionDoc.exists) {
+            return { success: false, error: 'Submission not found.' };
+        }
+
+        // Another admin may have decided while this one was looking at the embed
+        const currentStatus = submissionDoc.data().status;
+        if (currentStatus !== 'pending') {
+            return { success: false, error: `This submission has already been ${currentStatus}.` };
+        }
+
+        const now = Date.now();
+        transaction.update(submissionRef, {
+            status,
+            rejectionReason: status === 'rejected' ? reason : null,
+            reviewedBy: reviewerId,
+            reviewedByDiscordId: reviewerDiscordId,
+            reviewedAt: now,
+            updated_at: now
+        });
+
+        return { success: true, error: null };
+    });
+}
+
+// Pending submissions for the review queue, oldest first
+export async function getPendingSubmissions(campaignId) {
+    const snapshot = await submissionsCollection(campaignId)
+        .where('status', '==', 'pending')
+        .get();
+
+    return snapshot.docs
+        .map(doc => ({ ...doc.data(), submissionId: doc.id }))
+        .sort((a, b) => (a.created_at || 0) - (b.created_at || 0));
+}
+
+/**
+ * Every submission a creator has made, newest first
+ * @param {string} authorId - Firebase user ID stored as `author_id`
+ * @param {Object} [options]
+ * @param {string} [options.campaignId] - Only return submissions for this campaign
+ * @returns {Promise<Array>} Submissions with `submissionId` and `campaignId`
+ */
+export async function getCreatorSubmissions(authorId, { campaignId = null } = {}) {
+    const query = campaignId
+        ? submissionsCollection(campaignId)
+        : db.collectionGroup('submissions');
+
+    const snapshot = await query.where('author_id', '==', authorId).get();
+
+    return snapshot.docs
+        .map(doc => ({
+            ...doc.data(),
+            submissionId: doc.id,
+            // The parent campaign doc is the source of truth if the field is missing
+            campaignId: doc.data().campaignId || doc.ref.parent.parent.id
+        }))
+        .sort((a, b) => (b.created_at || 0) - (a.created_at || 0));
+}
+
+/**
+ * Apply field updates to many submissions of one campaign
+ * @param {string} campaignId - Campaign document ID
+ * @param {Array<{ submissionId: string, updates: Object }>} submissionUpdates
+ */
+export async function updateSubmissions(campaignId, submissionUpdates) {
+    const writes = submissionUpdates.filter(({ updates }) => Object.keys(updates).length > 0);
+
+    for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        writes.slice(i, i + MAX_BATCH_WRITES).forEach(({ submissionId, updates }) => {
+            batch.update(getSubmissionRef(campaignId, submissionId), updates);
+        });
+        await batch.commit();
+    }
+
+    return writes.length;
+}